@@ -1,4 +1,5 @@
 import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
 
 // Load environment variables
 dotenv.config();
@@ -21,6 +22,9 @@ const config = {
   isProduction: process.env.NODE_ENV === 'production',
   isTest: process.env.NODE_ENV === 'test',
 
+  // Public URL of the client app, used to build links in emails
+  clientUrl: process.env.CLIENT_URL || 'http://localhost:3000',
+
   // MongoDB Configuration
   mongodb: {
     uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/express-advanced',
@@ -33,10 +37,122 @@ const config = {
   },
 
   // JWT Configuration
+  // Tokens are signed with the private keys in keysDir (see src/utils/jwt.js)
   jwt: {
-    secret: process.env.JWT_SECRET || 'default-secret-change-in-production',
-    expiresIn: process.env.JWT_EXPIRE || '7d',
-    cookieExpires: parseInt(process.env.JWT_COOKIE_EXPIRE, 10) || 7,
+    keysDir: process.env.JWT_KEYS_DIR || 'keys',
+    signingKid: process.env.JWT_SIGNING_KID,
+    issuer: process.env.JWT_ISSUER || `http://localhost:${parseInt(process.env.PORT, 10) || 3000}`,
+    audience: process.env.JWT_AUDIENCE || 'express-api',
+    expiresIn: process.env.JWT_EXPIRE || '15m', // Short-lived access token
+    refreshExpiresDays: parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS, 10) || 7,
+    // Signs internal purpose tokens (MFA step, email links, OIDC state); never published
+    purposeSecret: process.env.JWT_PURPOSE_SECRET,
+    refreshCookiePath: '/api/auth/refresh',
+  },
+
+  // Account Security
+  auth: {
+    passwordResetExpiresMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 30,
+    emailVerificationExpiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || '24h',
+    magicLinkExpiresMinutes: parseInt(process.env.MAGIC_LINK_EXPIRE_MINUTES, 10) || 15,
+    // Sensitive operations need a login or re-authentication this recent
+    reauthMaxAgeMinutes: parseInt(process.env.REAUTH_MAX_AGE_MINUTES, 10) || 10,
+    // off: unverified accounts are fully usable
+    // block: unverified accounts cannot log in or call protected routes
+    // restrict: unverified accounts may only call unverifiedAllowedRoutes
+    requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION || 'off',
+    unverifiedAllowedRoutes: ['/api/auth/me', '/api/auth/csrf', '/api/auth/logout', '/api/auth/logout-all'],
+    lockout: {
+      maxAttempts: parseInt(process.env.LOCKOUT_MAX_ATTEMPTS, 10) || 5,
+      durationMinutes: parseInt(process.env.LOCKOUT_DURATION_MINUTES, 10) || 15,
+      // Failed logins are answered after base * 2^(attempts - 1) ms, capped at maxDelayMs
+      delayBaseMs: parseInt(process.env.LOCKOUT_DELAY_BASE_MS, 10) || 250,
+      maxDelayMs: 4000,
+      historySize: 20,
+    },
+  },
+
+  // Password Policy (enforced by src/utils/passwordPolicy.js)
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 10,
+    // bcrypt ignores everything after 72 bytes
+    maxBytes: 72,
+    requireLowercase: true,
+    requireUppercase: true,
+    requireNumber: true,
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+    // Reject passwords containing the user's name or the local part of their email
+    disallowPersonalInfo: true,
+    // One password per line, compared case-insensitively
+    breachedListPath:
+      process.env.PASSWORD_BREACHED_LIST ||
+      fileURLToPath(new URL('./breached-passwords.txt', import.meta.url)),
+    // Number of previous passwords that cannot be reused (0 disables)
+    historySize: process.env.PASSWORD_HISTORY_SIZE ? parseInt(process.env.PASSWORD_HISTORY_SIZE, 10) : 5,
+  },
+
+  // Two-Factor Authentication (TOTP)
+  mfa: {
+    issuer: process.env.MFA_ISSUER || 'Express API',
+    pendingTokenExpiresIn: process.env.MFA_PENDING_TOKEN_EXPIRE || '5m',
+    recoveryCodeCount: 10,
+    // Roles that must have 2FA enabled to pass `authorize`/`requirePermission`, e.g. "admin"
+    requiredForRoles: (process.env.MFA_REQUIRED_ROLES || '').split(',').map((r) => r.trim()).filter(Boolean),
+  },
+
+  // API Keys (machine-to-machine clients)
+  apiKeys: {
+    prefix: 'eak',
+    scopes: ['products:read', 'products:write'],
+    maxPerUser: parseInt(process.env.API_KEYS_MAX_PER_USER, 10) || 10,
+    // API keys are rejected outside these route prefixes (e.g. account management)
+    allowedRoutePrefixes: ['/api/products'],
+  },
+
+  // OpenID Connect social login
+  // OIDC_PROVIDERS is a JSON array of { name, discoveryUrl, clientId, clientSecret, scope }
+  oidc: {
+    providers: JSON.parse(process.env.OIDC_PROVIDERS || '[]'),
+    callbackBaseUrl:
+      process.env.OIDC_CALLBACK_BASE_URL ||
+      `http://localhost:${parseInt(process.env.PORT, 10) || 3000}/api/auth/oidc`,
+    stateExpiresMinutes: 10,
+  },
+
+  // Mail Configuration
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'console', // console | file | custom
+    from: process.env.MAIL_FROM || 'no-reply@example.com',
+    fileDir: process.env.MAIL_FILE_DIR || 'tmp/mail',
+  },
+
+  // Self-service account deletion
+  accountDeletion: {
+    graceDays: process.env.ACCOUNT_DELETION_GRACE_DAYS
+      ? parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10)
+      : 14,
+    purgeIntervalMinutes: parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES, 10) || 60,
+  },
+
+  // CSRF protection for cookie-authenticated requests
+  csrf: {
+    secret: process.env.CSRF_SECRET,
+    cookieName: 'csrfToken',
+    header: 'X-CSRF-Token',
+  },
+
+  // Multi-tenancy
+  tenancy: {
+    header: 'X-Organization-Id',
+    // Slug of the organization used when a request selects none; products that
+    // predate multi-tenancy are moved into it on startup
+    defaultOrganization: process.env.DEFAULT_ORGANIZATION || '',
+  },
+
+  // Audit Log
+  audit: {
+    // Entries are deleted after this many days (0 keeps them forever)
+    retentionDays: process.env.AUDIT_RETENTION_DAYS ? parseInt(process.env.AUDIT_RETENTION_DAYS, 10) : 365,
   },
 
   // Rate Limiting
@@ -54,7 +170,7 @@ const config = {
 
 // Validate required environment variables in production
 if (config.isProduction) {
-  const requiredVars = ['MONGODB_URI', 'JWT_SECRET'];
+  const requiredVars = ['MONGODB_URI', 'JWT_KEYS_DIR', 'JWT_ISSUER', 'JWT_PURPOSE_SECRET', 'CSRF_SECRET'];
   const missingVars = requiredVars.filter((varName) => !process.env[varName]);
 
   if (missingVars.length > 0) {
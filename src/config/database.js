@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 import logger from '../utils/logger.js';
+import Role from '../models/Role.js';
+import Organization from '../models/Organization.js';
+import Product from '../models/Product.js';
 
 /**
  * MongoDB Connection Handler with Advanced Features
@@ -10,6 +13,8 @@ import logger from '../utils/logger.js';
  * 3. Connection events - Monitor connection state
  * 4. Retry logic - Built into Mongoose
  * 5. Index creation - Ensured on connection
+ * 6. Seed data - Default roles and organization are created on first connection
+ * 7. Migrations - Search indexes from earlier versions are replaced on startup
  */
 
 class Database {
@@ -43,6 +48,11 @@ class Database {
 
       this.connection = await mongoose.connect(mongoUri, options);
 
+      // Make sure the default roles (and organization, if configured) exist
+      await Role.seedDefaults();
+      await Organization.seedDefault();
+      await Product.migrateIndexes();
+
       // Connection event listeners
       mongoose.connection.on('connected', () => {
         logger.info('MongoDB connected successfully');
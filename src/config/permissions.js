@@ -0,0 +1,45 @@
+/**
+ * Permission Catalog and Default Roles
+ *
+ * Best Practices:
+ * 1. Single source of truth - Every permission the code checks is listed here
+ * 2. Naming - `resource:action`, with an `:own` variant limited to documents the user created
+ * 3. Wildcard - `*` grants everything, so the admin role keeps up with new permissions
+ */
+
+export const PERMISSIONS = [
+  'product:create',
+  'product:update',
+  'product:update:own',
+  'product:delete',
+  'product:delete:own',
+  'user:read',
+  'user:manage',
+  'role:manage',
+  'audit:read',
+  'organization:manage',
+  'review:moderate',
+];
+
+export const WILDCARD_PERMISSION = '*';
+
+export const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    description: 'Full access to every resource',
+    permissions: [WILDCARD_PERMISSION],
+    isSystem: true,
+  },
+  {
+    name: 'editor',
+    description: 'Manages the products they created',
+    permissions: ['product:create', 'product:update:own', 'product:delete:own'],
+    isSystem: false,
+  },
+  {
+    name: 'user',
+    description: 'Regular customer account',
+    permissions: [],
+    isSystem: true,
+  },
+];
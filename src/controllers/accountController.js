@@ -0,0 +1,155 @@
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Membership from '../models/Membership.js';
+import Product from '../models/Product.js';
+import AuditLog from '../models/AuditLog.js';
+import config from '../config/config.js';
+import mailer from '../utils/mailer.js';
+import logger from '../utils/logger.js';
+import { clearAuthCookies } from './authController.js';
+import { isRecentlyAuthenticated, reauthRequired } from '../middleware/auth.js';
+import { formatSession } from './sessionController.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AppError } from '../utils/AppError.js';
+import { StatusCodes } from 'http-status-codes';
+
+/**
+ * Account Privacy Controller
+ *
+ * Best Practices:
+ * 1. Data portability - Users can download everything stored about them
+ * 2. Confirmed deletion - The password must be re-entered; social accounts need a fresh login
+ * 3. Grace period - Deletion can be cancelled until the purge job anonymizes the account
+ * 4. Anonymize, don't delete - Products keep a valid createdBy reference
+ */
+
+/**
+ * @desc    Export the current user's personal data
+ * @route   GET /api/auth/me/export
+ * @access  Private
+ */
+export const exportMyData = asyncHandler(async (req, res) => {
+  const [user, sessions, products] = await Promise.all([
+    User.findById(req.user.id),
+    Session.find({ user: req.user.id }).sort('-createdAt'),
+    // Across every organization the user created products in
+    Product.find({ createdBy: req.user.id }).setOptions({ skipTenant: true }).sort('-createdAt'),
+  ]);
+
+  res.set('Content-Disposition', `attachment; filename="account-export-${user._id}.json"`);
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    data: {
+      exportedAt: new Date(),
+      user,
+      sessions: sessions.map((session) => ({
+        ...formatSession(session, req.auth && req.auth.sid),
+        revokedAt: session.revokedAt,
+        expiresAt: session.expiresAt,
+      })),
+      products,
+    },
+  });
+});
+
+/**
+ * @desc    Schedule the current user's account for deletion
+ * @route   DELETE /api/auth/me
+ * @access  Private
+ */
+export const requestAccountDeletion = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('+password');
+
+  // Social login accounts have no password; they confirm by signing in with
+  // their provider again, which gives the session a fresh auth_time
+  if (!user.password) {
+    if (!isRecentlyAuthenticated(req)) {
+      return next(reauthRequired());
+    }
+  } else if (!(await user.comparePassword(req.body.password))) {
+    return next(new AppError('Please confirm with your password', StatusCodes.UNAUTHORIZED));
+  }
+
+  if (user.deletionScheduledFor) {
+    return next(new AppError('Account deletion is already scheduled', StatusCodes.BAD_REQUEST));
+  }
+
+  if (user.role === 'admin' && (await User.countActiveAdmins()) <= 1) {
+    return next(new AppError('The last active admin cannot delete their account', StatusCodes.BAD_REQUEST));
+  }
+
+  const soleAdminOf = await Membership.findSoleAdminOrganizations(user._id);
+  if (soleAdminOf.length > 0) {
+    return next(
+      new AppError(
+        'Make someone else an admin of your organizations before deleting your account',
+        StatusCodes.BAD_REQUEST,
+        { organizations: soleAdminOf }
+      )
+    );
+  }
+
+  const { graceDays } = config.accountDeletion;
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+  await user.save({ validateBeforeSave: false });
+
+  // Sign out everywhere (API keys are suspended by protect); the user can still
+  // log in and cancel through POST /me/cancel-deletion until the grace period ends
+  await user.revokeAllTokens();
+  clearAuthCookies(res);
+
+  await AuditLog.record(req, {
+    action: 'user.deletion.request',
+    targetType: 'User',
+    targetId: user._id,
+    metadata: { scheduledFor: user.deletionScheduledFor },
+  });
+
+  mailer
+    .send({
+      to: user.email,
+      subject: 'Your account is scheduled for deletion',
+      text: `Your account and personal data will be deleted on ${user.deletionScheduledFor.toUTCString()}.\n\nChanged your mind? Log in before then and cancel the deletion from your account settings.`,
+    })
+    .catch((error) => logger.error(`Failed to send deletion notice: ${error.message}`));
+
+  res.status(StatusCodes.ACCEPTED).json({
+    status: 'success',
+    message: `Your account will be deleted in ${graceDays} days. Log in and cancel before then if you change your mind.`,
+    data: {
+      deletionScheduledFor: user.deletionScheduledFor,
+    },
+  });
+});
+
+/**
+ * @desc    Cancel a scheduled account deletion
+ * @route   POST /api/auth/me/cancel-deletion
+ * @access  Private
+ */
+export const cancelAccountDeletion = asyncHandler(async (req, res, next) => {
+  const user = await User.findOneAndUpdate(
+    { _id: req.user.id, deletionScheduledFor: { $ne: null }, deletedAt: null },
+    { $set: { deletionScheduledFor: null }, $unset: { deletionRequestedAt: 1 } },
+    { new: true }
+  );
+
+  if (!user) {
+    return next(new AppError('No account deletion is scheduled', StatusCodes.BAD_REQUEST));
+  }
+
+  await AuditLog.record(req, {
+    action: 'user.deletion.cancel',
+    targetType: 'User',
+    targetId: user._id,
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    message: 'Account deletion cancelled',
+    data: {
+      user,
+    },
+  });
+});
@@ -0,0 +1,412 @@
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import Session from '../models/Session.js';
+import AuditLog from '../models/AuditLog.js';
+import { formatSession } from './sessionController.js';
+import { sendPasswordResetEmail } from './authController.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { escapeRegex } from '../utils/escapeRegex.js';
+import { AppError } from '../utils/AppError.js';
+import { StatusCodes } from 'http-status-codes';
+
+/**
+ * Admin Controller
+ *
+ * Best Practices:
+ * 1. Permission-guarded - Routes require user:read or user:manage
+ * 2. Auditability - Record who performed each administrative action
+ * 3. Consistent responses - Same response structure as other controllers
+ * 4. Last-admin protection - The last active admin cannot be demoted, deactivated or deleted
+ * 5. No escalation - Roles can only be assigned within the caller's own permissions, and
+ *    users whose role goes beyond them cannot be changed, signed out or deleted
+ */
+
+/**
+ * Load a user by id for admin routes
+ * Soft-deleted users are hidden unless explicitly requested.
+ */
+const findUser = (id, { includeDeleted = false } = {}) => {
+  return User.findOne({ _id: id, ...(includeDeleted ? {} : { deletedAt: null }) });
+};
+
+/**
+ * Apply a change that may take away an active admin, keeping at least one
+ * The change is written first and undone when no active admin is left, so
+ * two concurrent demotions cannot both pass a count taken before either write.
+ * @param {object} changes - Paths to $set on the user
+ * @returns {Promise<AppError|null>}
+ */
+const updateKeepingAnAdmin = async (user, changes) => {
+  const previous = Object.fromEntries(Object.keys(changes).map((path) => [path, user.get(path)]));
+  await User.updateOne({ _id: user._id }, { $set: changes });
+
+  if (user.role === 'admin' && user.isActive && (await User.countActiveAdmins()) === 0) {
+    await User.updateOne({ _id: user._id }, { $set: previous });
+    return new AppError('Cannot remove the last active admin', StatusCodes.BAD_REQUEST);
+  }
+
+  // Already stored; keep the document in step without marking it modified
+  for (const [path, value] of Object.entries(changes)) {
+    user.set(path, value);
+    user.unmarkModified(path);
+  }
+  return null;
+};
+
+/**
+ * Refuse role changes beyond the caller's own permissions
+ * Both the current and the new role must be covered, so a user manager can
+ * neither grant nor take away more than they hold themselves. Without a new
+ * role it checks that the caller may manage the user at all, which every
+ * action changing another user goes through.
+ * @param {string} [role] - Role to assign; defaults to the user's current one
+ * @returns {Promise<AppError|null>}
+ */
+const checkRoleAssignment = async (req, user, role = user.role) => {
+  const granted = await Role.getPermissions(req.user.role);
+  const [current, requested] = await Promise.all([
+    Role.getPermissions(user.role),
+    Role.getPermissions(role),
+  ]);
+
+  if (!Role.covers(granted, requested) || !Role.covers(granted, current)) {
+    return new AppError('You cannot manage roles with permissions you do not have', StatusCodes.FORBIDDEN);
+  }
+  return null;
+};
+
+/**
+ * @desc    List and search users
+ * @route   GET /api/admin/users
+ * @access  Private (user:read)
+ */
+export const getUsers = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  const skip = (page - 1) * limit;
+  const { search, role, status = 'all' } = req.query;
+
+  const query = status === 'active' ? User.findActiveUsers() : User.find();
+  const filter = { deletedAt: null };
+
+  if (status === 'inactive') {
+    filter.isActive = false;
+  }
+  if (role) {
+    filter.role = role;
+  }
+  if (search) {
+    const pattern = new RegExp(escapeRegex(String(search)), 'i');
+    filter.$or = [{ name: pattern }, { email: pattern }];
+  }
+
+  query.where(filter);
+  const [users, total] = await Promise.all([
+    query.clone().sort('-createdAt').skip(skip).limit(limit),
+    query.clone().countDocuments(),
+  ]);
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    results: users.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+    data: {
+      users,
+    },
+  });
+});
+
+/**
+ * @desc    Get a single user
+ * @route   GET /api/admin/users/:id
+ * @access  Private (user:read)
+ */
+export const getUser = asyncHandler(async (req, res, next) => {
+  const user = await findUser(req.params.id, { includeDeleted: true });
+
+  if (!user) {
+    return next(new AppError('User not found', StatusCodes.NOT_FOUND));
+  }
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    data: {
+      user,
+    },
+  });
+});
+
+/**
+ * @desc    Change a user's role
+ * @route   PATCH /api/admin/users/:id/role
+ * @access  Private (user:manage)
+ */
+export const updateUserRole = asyncHandler(async (req, res, next) => {
+  const { role } = req.body;
+  const user = await findUser(req.params.id);
+
+  if (!user) {
+    return next(new AppError('User not found', StatusCodes.NOT_FOUND));
+  }
+
+  if (!(await Role.exists({ name: role }))) {
+    return next(new AppError(`Role '${role}' does not exist`, StatusCodes.BAD_REQUEST));
+  }
+
+  const assignmentError = await checkRoleAssignment(req, user, role);
+  if (assignmentError) {
+    return next(assignmentError);
+  }
+
+  const previousRole = user.role;
+  const lastAdminError = await updateKeepingAnAdmin(user, { role });
+  if (lastAdminError) {
+    return next(lastAdminError);
+  }
+
+  // Access tokens carry the role, so existing ones must not outlive the change
+  await user.revokeAllTokens();
+  await AuditLog.record(req, {
+    action: 'user.role.update',
+    targetType: 'User',
+    targetId: user._id,
+    before: { role: previousRole },
+    after: { role },
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    data: {
+      user,
+    },
+  });
+});
+
+/**
+ * @desc    Activate or deactivate a user
+ * @route   PATCH /api/admin/users/:id/status
+ * @access  Private (user:manage)
+ */
+export const updateUserStatus = asyncHandler(async (req, res, next) => {
+  const { isActive } = req.body;
+  const user = await findUser(req.params.id);
+
+  if (!user) {
+    return next(new AppError('User not found', StatusCodes.NOT_FOUND));
+  }
+
+  const assignmentError = await checkRoleAssignment(req, user);
+  if (assignmentError) {
+    return next(assignmentError);
+  }
+
+  const wasActive = user.isActive;
+  const lastAdminError = await updateKeepingAnAdmin(user, { isActive });
+  if (lastAdminError) {
+    return next(lastAdminError);
+  }
+
+  if (!isActive) {
+    await user.revokeAllTokens();
+  }
+  await AuditLog.record(req, {
+    action: 'user.status.update',
+    targetType: 'User',
+    targetId: user._id,
+    before: { isActive: wasActive },
+    after: { isActive },
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    data: {
+      user,
+    },
+  });
+});
+
+/**
+ * @desc    Force a user to reset their password
+ * @route   POST /api/admin/users/:id/force-password-reset
+ * @access  Private (user:manage)
+ */
+export const forcePasswordReset = asyncHandler(async (req, res, next) => {
+  const user = await findUser(req.params.id);
+
+  if (!user) {
+    return next(new AppError('User not found', StatusCodes.NOT_FOUND));
+  }
+
+  const assignmentError = await checkRoleAssignment(req, user);
+  if (assignmentError) {
+    return next(assignmentError);
+  }
+
+  const resetToken = user.createPasswordResetToken();
+  user.passwordResetRequired = true;
+  await user.save({ validateBeforeSave: false });
+  await user.revokeAllTokens();
+
+  await sendPasswordResetEmail(user, resetToken, { forced: true });
+  await AuditLog.record(req, {
+    action: 'user.password_reset.force',
+    targetType: 'User',
+    targetId: user._id,
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    message: 'User signed out everywhere and sent a password reset link',
+  });
+});
+
+/**
+ * @desc    Soft-delete a user
+ * @route   DELETE /api/admin/users/:id
+ * @access  Private (user:manage)
+ */
+export const deleteUser = asyncHandler(async (req, res, next) => {
+  const user = await findUser(req.params.id);
+
+  if (!user) {
+    return next(new AppError('User not found', StatusCodes.NOT_FOUND));
+  }
+
+  const assignmentError = await checkRoleAssignment(req, user);
+  if (assignmentError) {
+    return next(assignmentError);
+  }
+
+  const lastAdminError = await updateKeepingAnAdmin(user, { isActive: false, deletedAt: new Date() });
+  if (lastAdminError) {
+    return next(lastAdminError);
+  }
+  await user.revokeAllTokens();
+  await AuditLog.record(req, {
+    action: 'user.delete',
+    targetType: 'User',
+    targetId: user._id,
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    message: 'User deleted successfully',
+  });
+});
+
+/**
+ * @desc    Get lockout history for a user
+ * @route   GET /api/admin/users/:id/lockouts
+ * @access  Private (user:read)
+ */
+export const getUserLockouts = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id).select('+failedLoginAttempts +lockoutHistory');
+
+  if (!user) {
+    return next(new AppError('User not found', StatusCodes.NOT_FOUND));
+  }
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    data: {
+      isLocked: user.isLocked,
+      lockUntil: user.lockUntil,
+      failedLoginAttempts: user.failedLoginAttempts,
+      lockoutHistory: user.lockoutHistory,
+    },
+  });
+});
+
+/**
+ * @desc    Unlock a locked-out user account
+ * @route   POST /api/admin/users/:id/unlock
+ * @access  Private (user:manage)
+ */
+export const unlockUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new AppError('User not found', StatusCodes.NOT_FOUND));
+  }
+
+  if (!user.isLocked) {
+    return next(new AppError('User account is not locked', StatusCodes.BAD_REQUEST));
+  }
+
+  const assignmentError = await checkRoleAssignment(req, user);
+  if (assignmentError) {
+    return next(assignmentError);
+  }
+
+  await user.unlock(req.user.id);
+  await AuditLog.record(req, {
+    action: 'user.unlock',
+    targetType: 'User',
+    targetId: user._id,
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    message: 'User account unlocked',
+  });
+});
+
+/**
+ * @desc    List active sessions of a user
+ * @route   GET /api/admin/users/:id/sessions
+ * @access  Private (user:read)
+ */
+export const getUserSessions = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new AppError('User not found', StatusCodes.NOT_FOUND));
+  }
+
+  const sessions = await Session.findActiveForUser(user._id);
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      sessions: sessions.map((session) => formatSession(session)),
+    },
+  });
+});
+
+/**
+ * @desc    Revoke a session of a user
+ * @route   DELETE /api/admin/users/:id/sessions/:sessionId
+ * @access  Private (user:manage)
+ */
+export const revokeUserSession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findActive(req.params.sessionId);
+
+  if (!session || String(session.user) !== req.params.id) {
+    return next(new AppError('Session not found', StatusCodes.NOT_FOUND));
+  }
+
+  const user = await User.findById(session.user);
+  const assignmentError = user && (await checkRoleAssignment(req, user));
+  if (assignmentError) {
+    return next(assignmentError);
+  }
+
+  await Session.revoke(session.id);
+  await AuditLog.record(req, {
+    action: 'user.session.revoke',
+    targetType: 'User',
+    targetId: req.params.id,
+    metadata: { sessionId: session.id },
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    message: 'Session revoked',
+  });
+});
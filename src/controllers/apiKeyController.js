@@ -0,0 +1,93 @@
+import ApiKey from '../models/ApiKey.js';
+import config from '../config/config.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AppError } from '../utils/AppError.js';
+import { StatusCodes } from 'http-status-codes';
+
+/**
+ * API Key Controller
+ *
+ * Best Practices:
+ * 1. Show secrets once - The full key is only part of the create response
+ * 2. Ownership checks - Users manage only their own keys
+ * 3. Soft revocation - Revoked keys stay listed for auditing
+ */
+
+/**
+ * @desc    Create an API key
+ * @route   POST /api/auth/api-keys
+ * @access  Private
+ */
+export const createApiKey = asyncHandler(async (req, res, next) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  const activeKeys = await ApiKey.countDocuments({
+    user: req.user.id,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+  if (activeKeys >= config.apiKeys.maxPerUser) {
+    return next(
+      new AppError(
+        `You can have at most ${config.apiKeys.maxPerUser} active API keys`,
+        StatusCodes.BAD_REQUEST
+      )
+    );
+  }
+
+  const { apiKey, key } = await ApiKey.generate({
+    userId: req.user.id,
+    name,
+    scopes,
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+  });
+
+  res.status(StatusCodes.CREATED).json({
+    status: 'success',
+    message: 'Store this key now. It will not be shown again.',
+    data: {
+      apiKey,
+      key,
+    },
+  });
+});
+
+/**
+ * @desc    List the current user's API keys
+ * @route   GET /api/auth/api-keys
+ * @access  Private
+ */
+export const getApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await ApiKey.find({ user: req.user.id }).sort('-createdAt');
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    results: apiKeys.length,
+    data: {
+      apiKeys,
+    },
+  });
+});
+
+/**
+ * @desc    Revoke an API key
+ * @route   DELETE /api/auth/api-keys/:id
+ * @access  Private
+ */
+export const revokeApiKey = asyncHandler(async (req, res, next) => {
+  const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user.id });
+
+  if (!apiKey) {
+    return next(new AppError('API key not found', StatusCodes.NOT_FOUND));
+  }
+
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+  }
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    message: 'API key revoked',
+  });
+});
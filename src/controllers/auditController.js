@@ -0,0 +1,79 @@
+import AuditLog from '../models/AuditLog.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { escapeRegex } from '../utils/escapeRegex.js';
+import { StatusCodes } from 'http-status-codes';
+
+/**
+ * Audit Log Controller
+ *
+ * Best Practices:
+ * 1. Read-only - Entries are written by the actions they describe, never through the API
+ * 2. Indexed filters - actor, target, action and time range match the model's indexes
+ * 3. Consistent pagination - Same format as the other list endpoints
+ */
+
+/**
+ * Build the filter from query parameters
+ * `action` matches exactly, or by prefix when it ends in `.*` (e.g. `auth.login.*`)
+ */
+const buildAuditFilter = ({ actor, targetType, target, action, from, to }) => {
+  const filter = {};
+
+  if (actor) {
+    filter.actor = actor;
+  }
+  if (targetType) {
+    filter.targetType = targetType;
+  }
+  if (target) {
+    filter.targetId = target;
+  }
+  if (action) {
+    filter.action = action.endsWith('.*')
+      ? new RegExp(`^${escapeRegex(action.slice(0, -1))}`)
+      : action;
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  return filter;
+};
+
+/**
+ * @desc    Query the audit log
+ * @route   GET /api/admin/audit-logs
+ * @access  Private (audit:read)
+ */
+export const getAuditLogs = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const skip = (page - 1) * limit;
+  const filter = buildAuditFilter(req.query);
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit)
+      .populate('actor', 'name email')
+      .lean(),
+    AuditLog.countDocuments(filter),
+  ]);
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    results: entries.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+    data: {
+      entries,
+    },
+  });
+});
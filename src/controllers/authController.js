@@ -1,6 +1,16 @@
 import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import RevokedToken from '../models/RevokedToken.js';
+import Session from '../models/Session.js';
+import AuditLog from '../models/AuditLog.js';
+import config from '../config/config.js';
+import mailer from '../utils/mailer.js';
+import logger from '../utils/logger.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { AppError } from '../utils/AppError.js';
+import { verifyPurposeToken, decodeToken } from '../utils/jwt.js';
+import { validationError } from '../middleware/validation.js';
+import { setCsrfCookie, clearCsrfCookie, checkCsrf } from '../middleware/csrf.js';
 import { StatusCodes } from 'http-status-codes';
 
 /**
@@ -14,6 +24,235 @@ import { StatusCodes } from 'http-status-codes';
  * 5. Response formatting - Consistent response structure
  */
 
+/**
+ * Set the access and refresh token cookies
+ * The refresh cookie is scoped to the refresh route so it is never sent
+ * along with ordinary API requests. A new refresh token also comes with a
+ * CSRF cookie for its session. Without a refresh token only the access
+ * cookie is replaced.
+ */
+export const setAuthCookies = (res, accessToken, refreshToken) => {
+  const baseOptions = {
+    httpOnly: true,
+    secure: config.isProduction,
+    sameSite: 'strict',
+  };
+
+  res.cookie('token', accessToken, {
+    ...baseOptions,
+    expires: new Date(decodeToken(accessToken).exp * 1000),
+  });
+
+  if (refreshToken) {
+    res.cookie('refreshToken', refreshToken.token, {
+      ...baseOptions,
+      expires: refreshToken.expiresAt,
+      path: config.jwt.refreshCookiePath,
+    });
+    setCsrfCookie(res, refreshToken.family, refreshToken.expiresAt);
+  }
+};
+
+/**
+ * Clear the access and refresh token cookies
+ */
+export const clearAuthCookies = (res) => {
+  res.cookie('token', 'none', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true,
+  });
+  res.clearCookie('refreshToken', { path: config.jwt.refreshCookiePath });
+  clearCsrfCookie(res);
+};
+
+/**
+ * Email a password reset link
+ * @param {boolean} [options.forced] - Reset was required by an administrator
+ */
+export const sendPasswordResetEmail = (user, resetToken, { forced = false } = {}) => {
+  const resetUrl = `${config.clientUrl}/reset-password/${resetToken}`;
+  const expiry = `It expires in ${config.auth.passwordResetExpiresMinutes} minutes.`;
+  const text = forced
+    ? `An administrator requires you to choose a new password before you can log in again. ${expiry}\n\n${resetUrl}`
+    : `Use the link below to reset your password. ${expiry}\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`;
+
+  return mailer.send({
+    to: user.email,
+    subject: forced ? 'Password reset required' : 'Password reset request',
+    text,
+  });
+};
+
+/**
+ * Email a magic login link
+ */
+const sendMagicLinkEmail = (user, token) => {
+  const loginUrl = `${config.clientUrl}/magic-link/${token}`;
+
+  return mailer.send({
+    to: user.email,
+    subject: 'Your login link',
+    text: `Use the link below to log in. It works once and expires in ${config.auth.magicLinkExpiresMinutes} minutes.\n\n${loginUrl}\n\nIf you did not request this, you can ignore this email.`,
+  });
+};
+
+/**
+ * Email a verification link, by default for the user's current address
+ */
+const sendVerificationEmail = (user, email = user.email) => {
+  const verifyUrl = `${config.clientUrl}/verify-email/${user.generateEmailVerificationToken(email)}`;
+
+  return mailer.send({
+    to: email,
+    subject: 'Verify your email address',
+    text: `Welcome, ${user.name}! Please confirm your email address by opening the link below.\n\n${verifyUrl}`,
+  });
+};
+
+/**
+ * Issue an access token, set auth cookies and send the standard auth response
+ * @param {object} refreshToken - Result of RefreshToken.issue/rotate
+ * @param {object} [options.organizationId] - Organization selected for the session
+ * @param {Date|null} [options.authenticatedAt] - Last authentication; omitted means a new login
+ * (now), null means unknown and leaves the auth_time claim out
+ */
+const sendTokenResponse = (user, refreshToken, statusCode, res, options = {}) => {
+  const { organizationId } = options;
+  const authenticatedAt = 'authenticatedAt' in options ? options.authenticatedAt : new Date();
+  const token = user.generateToken({
+    sessionId: refreshToken.family,
+    organizationId,
+    authenticatedAt,
+  });
+
+  setAuthCookies(res, token, refreshToken);
+
+  res.status(statusCode).json({
+    status: 'success',
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified,
+      },
+      token,
+      refreshToken: refreshToken.token,
+    },
+  });
+};
+
+/**
+ * Start a new device session and issue its first refresh token
+ */
+const startSession = async (user, req) => {
+  const session = await Session.start(user._id, req);
+  return RefreshToken.issue(user._id, { family: session.id, ip: req.ip });
+};
+
+/**
+ * Validation error for a password that breaks the policy
+ */
+const passwordPolicyError = (field, messages) =>
+  validationError(messages.map((message) => ({ field, message })));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Progressive delay for failed logins: doubles with every consecutive failure
+ */
+const failedLoginDelay = (attempts) => {
+  const { delayBaseMs, maxDelayMs } = config.auth.lockout;
+  return Math.min(delayBaseMs * 2 ** Math.max(attempts - 1, 0), maxDelayMs);
+};
+
+/**
+ * Consecutive failures for an email without an account, including the current one
+ * Mirrors failedLoginAttempts, so unknown emails get the same progressive delay.
+ */
+const unknownEmailAttempts = async (email) => {
+  const { maxAttempts, durationMinutes } = config.auth.lockout;
+  const recent = await AuditLog.countDocuments({
+    action: 'auth.login.failure',
+    'metadata.reason': 'unknown_email',
+    'metadata.email': email,
+    createdAt: { $gte: new Date(Date.now() - durationMinutes * 60 * 1000) },
+  });
+  return ((Math.max(recent, 1) - 1) % maxAttempts) + 1;
+};
+
+/**
+ * Record a failed login attempt
+ * @param {object|null} user - null when no account matches the email
+ */
+export const recordFailedLogin = (req, user, reason, metadata = {}) => {
+  return AuditLog.record(req, {
+    action: 'auth.login.failure',
+    actor: user ? user._id : null,
+    targetType: user ? 'User' : undefined,
+    targetId: user ? user._id : undefined,
+    metadata: { reason, ...metadata },
+  });
+};
+
+/**
+ * Account checks run once the user has proved who they are
+ * Shared by password and magic link login.
+ * @returns {AppError|null}
+ */
+const postAuthenticationError = (user) => {
+  if (user.passwordResetRequired) {
+    return new AppError(
+      'A password reset is required. Check your email for a reset link.',
+      StatusCodes.FORBIDDEN
+    );
+  }
+
+  if (config.auth.requireEmailVerification === 'block' && !user.emailVerified) {
+    return new AppError('Please verify your email address before logging in', StatusCodes.FORBIDDEN);
+  }
+
+  return null;
+};
+
+/**
+ * Finish a successful login: record it and start a new session
+ * Shared by every login method once all factors have been checked.
+ */
+export const completeLogin = async (user, req, res) => {
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  const refreshToken = await startSession(user, req);
+  await AuditLog.record(req, {
+    action: 'auth.login.success',
+    actor: user._id,
+    targetType: 'User',
+    targetId: user._id,
+    metadata: { sessionId: refreshToken.family },
+  });
+  sendTokenResponse(user, refreshToken, StatusCodes.OK, res);
+};
+
+/**
+ * Continue a login after the first factor succeeded
+ * Users with 2FA get a short-lived MFA token instead of a session.
+ */
+export const continueLogin = async (user, req, res) => {
+  if (user.mfa && user.mfa.enabled) {
+    return res.status(StatusCodes.OK).json({
+      status: 'success',
+      data: {
+        mfaRequired: true,
+        mfaToken: user.generateMfaPendingToken(),
+      },
+    });
+  }
+
+  await completeLogin(user, req, res);
+};
+
 /**
  * @desc    Register new user
  * @route   POST /api/auth/register
@@ -35,30 +274,29 @@ export const register = asyncHandler(async (req, res, next) => {
     password,
   });
 
-  // Generate token
-  const token = user.generateToken();
+  sendVerificationEmail(user).catch((error) =>
+    logger.error(`Failed to send verification email: ${error.message}`)
+  );
 
-  // Set cookie
-  const cookieOptions = {
-    expires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'strict',
-  };
-  res.cookie('token', token, cookieOptions);
-
-  res.status(StatusCodes.CREATED).json({
-    status: 'success',
-    data: {
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
+  // Accounts that must verify first get no tokens until they do
+  if (config.auth.requireEmailVerification === 'block') {
+    return res.status(StatusCodes.CREATED).json({
+      status: 'success',
+      message: 'Registration successful. Please verify your email address before logging in.',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          emailVerified: user.emailVerified,
+        },
       },
-      token,
-    },
-  });
+    });
+  }
+
+  const refreshToken = await startSession(user, req);
+  sendTokenResponse(user, refreshToken, StatusCodes.CREATED, res);
 });
 
 /**
@@ -75,48 +313,245 @@ export const login = asyncHandler(async (req, res, next) => {
   }
 
   // Find user and include password field
-  const user = await User.findByEmail(email).select('+password');
+  const user = await User.findByEmail(email).select('+password +failedLoginAttempts');
   if (!user) {
+    // Same work and delay as a wrong password, so timing does not reveal registered emails
+    const normalizedEmail = String(email).toLowerCase();
+    await User.simulatePasswordCheck(password);
+    await recordFailedLogin(req, null, 'unknown_email', { email: normalizedEmail });
+    await sleep(failedLoginDelay(await unknownEmailAttempts(normalizedEmail)));
     return next(new AppError('Invalid credentials', StatusCodes.UNAUTHORIZED));
   }
 
   // Check if user is active
   if (!user.isActive) {
+    await recordFailedLogin(req, user, 'inactive');
     return next(new AppError('Account is inactive', StatusCodes.UNAUTHORIZED));
   }
 
+  // Check for a temporary lockout before looking at the password
+  if (user.isLocked) {
+    await recordFailedLogin(req, user, 'locked');
+    return next(
+      new AppError(
+        'Account temporarily locked due to too many failed login attempts. Please try again later.',
+        StatusCodes.LOCKED
+      )
+    );
+  }
+
   // Verify password
   const isPasswordValid = await user.comparePassword(password);
   if (!isPasswordValid) {
+    const { attempts, locked, lockedUntil } = await user.registerFailedLogin(req.ip);
+    await recordFailedLogin(req, user, 'invalid_password', { attempts });
+    if (locked) {
+      await AuditLog.record(req, {
+        action: 'auth.account.locked',
+        actor: null,
+        targetType: 'User',
+        targetId: user._id,
+        metadata: { attempts, lockedUntil },
+      });
+    }
+    await sleep(failedLoginDelay(attempts));
     return next(new AppError('Invalid credentials', StatusCodes.UNAUTHORIZED));
   }
 
-  // Update last login
-  user.lastLogin = new Date();
-  await user.save({ validateBeforeSave: false });
+  if (user.failedLoginAttempts || user.lockUntil) {
+    await user.resetFailedLogins();
+  }
 
-  // Generate token
-  const token = user.generateToken();
+  const accountError = postAuthenticationError(user);
+  if (accountError) {
+    return next(accountError);
+  }
 
-  // Set cookie
-  const cookieOptions = {
-    expires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'strict',
-  };
-  res.cookie('token', token, cookieOptions);
+  await continueLogin(user, req, res);
+});
+
+/**
+ * @desc    Email a single-use login link
+ * @route   POST /api/auth/magic-link
+ * @access  Public
+ */
+export const requestMagicLink = asyncHandler(async (req, res) => {
+  const user = await User.findByEmail(req.body.email);
+
+  if (user && user.isActive) {
+    const token = user.generateMagicLinkToken();
+    await user.save({ validateBeforeSave: false });
+
+    // Not awaited so the response time does not reveal whether the account exists
+    sendMagicLinkEmail(user, token).catch((error) =>
+      logger.error(`Failed to send magic link email: ${error.message}`)
+    );
+  }
+
+  // Same response whether or not the email is registered
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    message: 'If an account exists for that email, a login link has been sent',
+  });
+});
+
+/**
+ * @desc    Log in with a magic link
+ * @route   GET /api/auth/magic-link/:token
+ * @access  Public
+ */
+export const magicLinkLogin = asyncHandler(async (req, res, next) => {
+  let decoded;
+  try {
+    decoded = verifyPurposeToken(req.params.token, 'magic-link');
+  } catch (error) {
+    return next(new AppError('Login link is invalid or has expired', StatusCodes.BAD_REQUEST));
+  }
+
+  const user = await User.consumeMagicLinkToken(decoded);
+
+  if (!user) {
+    return next(new AppError('Login link is invalid or has expired', StatusCodes.BAD_REQUEST));
+  }
+
+  if (!user.isActive) {
+    return next(new AppError('Account is inactive', StatusCodes.UNAUTHORIZED));
+  }
+
+  const accountError = postAuthenticationError(user);
+  if (accountError) {
+    return next(accountError);
+  }
+
+  await continueLogin(user, req, res);
+});
+
+/**
+ * @desc    Rotate refresh token and issue a new access token
+ * @route   POST /api/auth/refresh
+ * @access  Public (requires refresh token)
+ */
+export const refresh = asyncHandler(async (req, res, next) => {
+  const fromCookie = Boolean(req.cookies && req.cookies.refreshToken);
+  const token = fromCookie ? req.cookies.refreshToken : req.body.refreshToken;
+
+  if (!token) {
+    return next(new AppError('Refresh token is required', StatusCodes.UNAUTHORIZED));
+  }
+
+  // Check before rotating, so a forged request cannot consume the token.
+  // Unknown tokens fall through to the usual 401.
+  const family = fromCookie && (await RefreshToken.findFamily(token));
+  const csrfError = family && checkCsrf(req, family);
+  if (csrfError) {
+    return next(csrfError);
+  }
+
+  const rotated = await RefreshToken.rotate(token, { ip: req.ip });
+  if (!rotated) {
+    return next(new AppError('Invalid or expired refresh token', StatusCodes.UNAUTHORIZED));
+  }
+
+  // A replayed token means the session is compromised: end it entirely
+  if (rotated.reuseDetected) {
+    await Session.revoke(rotated.family);
+    logger.warn(`Refresh token reuse detected for session ${rotated.family}`);
+    return next(new AppError('Invalid or expired refresh token', StatusCodes.UNAUTHORIZED));
+  }
+
+  const user = await User.findById(rotated.userId);
+  const session = await Session.findActive(rotated.family);
+  if (!user || !user.isActive || !session) {
+    await Session.revoke(rotated.family);
+    return next(new AppError('Invalid or expired refresh token', StatusCodes.UNAUTHORIZED));
+  }
+
+  await session.extend(req.ip);
+  // Refreshing keeps the original auth_time; only logging in again renews it.
+  // Sessions from before auth_time existed get none and count as stale.
+  sendTokenResponse(user, rotated, StatusCodes.OK, res, {
+    organizationId: session.organization,
+    authenticatedAt: session.authenticatedAt || null,
+  });
+});
+
+/**
+ * @desc    Confirm the password or a TOTP code to unlock sensitive operations
+ * @route   POST /api/auth/reauth
+ * @access  Private
+ */
+export const reauthenticate = asyncHandler(async (req, res, next) => {
+  if (!req.authSession) {
+    return next(new AppError('Only login sessions can re-authenticate', StatusCodes.BAD_REQUEST));
+  }
+
+  const { password, code } = req.body;
+  const user = await User.findById(req.user.id).select('+password +mfa.secret +mfa.lastUsedStep');
+
+  if (!password && !code) {
+    return next(new AppError('Please provide your password or an authentication code', StatusCodes.BAD_REQUEST));
+  }
+  if ((password && !user.password) || (code && !user.mfa.enabled)) {
+    return next(
+      new AppError('This account cannot re-authenticate that way. Please log in again.', StatusCodes.BAD_REQUEST)
+    );
+  }
+
+  const confirmed = password ? await user.comparePassword(password) : await user.verifyMfaCode(code);
+  if (!confirmed) {
+    await AuditLog.record(req, {
+      action: 'auth.reauth.failure',
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { method: password ? 'password' : 'totp' },
+    });
+    return next(new AppError('Invalid credentials', StatusCodes.UNAUTHORIZED));
+  }
+
+  await req.authSession.reauthenticate();
+  await AuditLog.record(req, {
+    action: 'auth.reauth.success',
+    targetType: 'User',
+    targetId: user._id,
+    metadata: { method: password ? 'password' : 'totp', sessionId: req.authSession.id },
+  });
+
+  // A fresh access token carries the new auth_time
+  const token = user.generateToken({
+    sessionId: req.authSession.id,
+    organizationId: req.authSession.organization,
+    authenticatedAt: req.authSession.authenticatedAt,
+  });
+  setAuthCookies(res, token);
 
   res.status(StatusCodes.OK).json({
     status: 'success',
+    token,
     data: {
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-      },
-      token,
+      authenticatedAt: req.authSession.authenticatedAt,
+    },
+  });
+});
+
+/**
+ * @desc    Get a CSRF token for the current cookie session
+ * @route   GET /api/auth/csrf
+ * @access  Private
+ */
+export const getCsrfToken = asyncHandler(async (req, res, next) => {
+  if (!req.authSession) {
+    return next(
+      new AppError('CSRF tokens are only needed for login sessions', StatusCodes.BAD_REQUEST)
+    );
+  }
+
+  const csrfToken = setCsrfCookie(res, req.authSession.id, req.authSession.expiresAt);
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    data: {
+      csrfToken,
+      header: config.csrf.header,
     },
   });
 });
@@ -137,15 +572,214 @@ export const getMe = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Update current user's profile
+ * @route   PATCH /api/auth/me
+ * @access  Private
+ */
+export const updateMe = asyncHandler(async (req, res, next) => {
+  // Only these fields are user-editable; role, isActive etc. are never copied
+  const { name, email } = req.body;
+  const user = await User.findById(req.user.id);
+  let message = 'Profile updated successfully';
+
+  if (name !== undefined) {
+    user.name = name;
+  }
+
+  // Email changes take effect only after the new address is verified
+  if (email !== undefined && email.toLowerCase() !== user.email) {
+    if (await User.findByEmail(email)) {
+      return next(new AppError('Email is already in use', StatusCodes.BAD_REQUEST));
+    }
+
+    user.pendingEmail = email;
+    sendVerificationEmail(user, user.pendingEmail).catch((error) =>
+      logger.error(`Failed to send verification email: ${error.message}`)
+    );
+    message = 'Profile updated. Please verify your new email address to complete the change.';
+  }
+
+  await user.save();
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    message,
+    data: {
+      user,
+    },
+  });
+});
+
+/**
+ * @desc    Change current user's password
+ * @route   PATCH /api/auth/me/password
+ * @access  Private
+ */
+export const updatePassword = asyncHandler(async (req, res, next) => {
+  const { currentPassword, newPassword } = req.body;
+  const user = await User.findById(req.user.id).select('+password');
+
+  const isPasswordValid = await user.comparePassword(currentPassword);
+  if (!isPasswordValid) {
+    return next(new AppError('Current password is incorrect', StatusCodes.UNAUTHORIZED));
+  }
+
+  const policyErrors = await user.checkNewPassword(newPassword);
+  if (policyErrors.length > 0) {
+    return next(passwordPolicyError('newPassword', policyErrors));
+  }
+
+  user.password = newPassword;
+  await user.save();
+
+  // Sign out every other device, then start a fresh session for this one
+  await user.revokeAllTokens();
+  const refreshToken = await startSession(user, req);
+  sendTokenResponse(user, refreshToken, StatusCodes.OK, res);
+});
+
+/**
+ * @desc    Verify email address
+ * @route   GET /api/auth/verify-email/:token
+ * @access  Public
+ */
+export const verifyEmail = asyncHandler(async (req, res, next) => {
+  let decoded;
+  try {
+    decoded = verifyPurposeToken(req.params.token, 'verify-email');
+  } catch (error) {
+    return next(new AppError('Verification link is invalid or has expired', StatusCodes.BAD_REQUEST));
+  }
+
+  const user = await User.findById(decoded.id);
+
+  // The link is only valid for the address it was sent to
+  const isCurrentEmail = user && user.email === decoded.email;
+  const isPendingEmail = user && user.pendingEmail && user.pendingEmail === decoded.email;
+  if (!isCurrentEmail && !isPendingEmail) {
+    return next(new AppError('Verification link is invalid or has expired', StatusCodes.BAD_REQUEST));
+  }
+
+  // Confirming a changed address swaps it in
+  if (isPendingEmail) {
+    if (await User.findByEmail(user.pendingEmail)) {
+      return next(new AppError('Email is already in use', StatusCodes.BAD_REQUEST));
+    }
+    user.email = user.pendingEmail;
+    user.pendingEmail = undefined;
+    user.emailVerified = false;
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save({ validateBeforeSave: false });
+  }
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    message: 'Email verified successfully',
+  });
+});
+
+/**
+ * @desc    Resend the email verification link
+ * @route   POST /api/auth/verify-email/resend
+ * @access  Public
+ */
+export const resendVerification = asyncHandler(async (req, res) => {
+  const user = await User.findByEmail(req.body.email);
+
+  if (user && user.isActive && !user.emailVerified) {
+    sendVerificationEmail(user).catch((error) =>
+      logger.error(`Failed to send verification email: ${error.message}`)
+    );
+  }
+
+  // Same response whether or not the email is registered or already verified
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    message: 'If the account exists and is unverified, a verification link has been sent',
+  });
+});
+
+/**
+ * @desc    Request a password reset email
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+export const forgotPassword = asyncHandler(async (req, res) => {
+  const user = await User.findByEmail(req.body.email);
+
+  if (user && user.isActive) {
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    // Not awaited so the response time does not reveal whether the account exists
+    sendPasswordResetEmail(user, resetToken).catch((error) =>
+      logger.error(`Failed to send password reset email: ${error.message}`)
+    );
+  }
+
+  // Same response whether or not the email is registered
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    message: 'If an account exists for that email, a password reset link has been sent',
+  });
+});
+
+/**
+ * @desc    Reset password with a reset token
+ * @route   POST /api/auth/reset-password/:token
+ * @access  Public
+ */
+export const resetPassword = asyncHandler(async (req, res, next) => {
+  const user = await User.findByResetToken(req.params.token);
+
+  if (!user) {
+    return next(new AppError('Reset token is invalid or has expired', StatusCodes.BAD_REQUEST));
+  }
+
+  // Route validation cannot check personal info or history without the user
+  const policyErrors = await user.checkNewPassword(req.body.password);
+  if (policyErrors.length > 0) {
+    return next(passwordPolicyError('password', policyErrors));
+  }
+
+  user.password = req.body.password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  user.passwordResetRequired = false;
+  await user.save();
+
+  // Sign out every existing session
+  await user.revokeAllTokens();
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    message: 'Password has been reset. Please log in with your new password.',
+  });
+});
+
 /**
  * @desc    Logout user
  * @route   POST /api/auth/logout
  * @access  Private
  */
 export const logout = asyncHandler(async (req, res) => {
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true,
+  // Deny the presented access token until it expires and end its session
+  await RevokedToken.revoke(req.auth);
+  if (req.auth.sid) {
+    await Session.revoke(req.auth.sid);
+  }
+
+  clearAuthCookies(res);
+  await AuditLog.record(req, {
+    action: 'auth.logout',
+    targetType: 'User',
+    targetId: req.user._id,
+    metadata: { sessionId: req.auth.sid },
   });
 
   res.status(StatusCodes.OK).json({
@@ -154,3 +788,23 @@ export const logout = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Logout from all devices
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+export const logoutAll = asyncHandler(async (req, res) => {
+  await req.user.revokeAllTokens();
+
+  clearAuthCookies(res);
+  await AuditLog.record(req, {
+    action: 'auth.logout.all',
+    targetType: 'User',
+    targetId: req.user._id,
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    message: 'Logged out from all devices',
+  });
+});
@@ -0,0 +1,181 @@
+import User from '../models/User.js';
+import config from '../config/config.js';
+import { completeLogin, recordFailedLogin } from './authController.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AppError } from '../utils/AppError.js';
+import { generateSecret, verifyTotp, buildOtpauthUri } from '../utils/totp.js';
+import { verifyPurposeToken } from '../utils/jwt.js';
+import { StatusCodes } from 'http-status-codes';
+
+/**
+ * Two-Factor Authentication Controller
+ *
+ * Best Practices:
+ * 1. Confirmed enrollment - A secret is only active after the first valid code
+ * 2. Recovery codes - Shown once, stored hashed, usable once
+ * 3. Two-step login - Password first, then a short-lived MFA token plus code
+ * 4. Re-authentication - Disabling 2FA requires the password and a code
+ */
+
+/**
+ * Check a TOTP code or a recovery code for a user
+ * Requires mfa.secret and mfa.lastUsedStep to be selected
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    return user.verifyMfaCode(code);
+  }
+  if (recoveryCode) {
+    return user.consumeRecoveryCode(recoveryCode);
+  }
+  return false;
+};
+
+/**
+ * @desc    Start 2FA enrollment
+ * @route   POST /api/auth/mfa/setup
+ * @access  Private
+ */
+export const setupMfa = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.mfa.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled', StatusCodes.BAD_REQUEST));
+  }
+
+  const secret = generateSecret();
+  user.mfa.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    data: {
+      secret,
+      otpauthUrl: buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: config.mfa.issuer,
+      }),
+    },
+  });
+});
+
+/**
+ * @desc    Confirm enrollment with a code and enable 2FA
+ * @route   POST /api/auth/mfa/enable
+ * @access  Private
+ */
+export const enableMfa = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('+mfa.pendingSecret');
+
+  if (user.mfa.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled', StatusCodes.BAD_REQUEST));
+  }
+
+  if (!user.mfa.pendingSecret) {
+    return next(new AppError('Start two-factor setup first', StatusCodes.BAD_REQUEST));
+  }
+
+  const step = verifyTotp(user.mfa.pendingSecret, req.body.code);
+  if (step === null) {
+    return next(new AppError('Invalid authentication code', StatusCodes.BAD_REQUEST));
+  }
+
+  user.mfa.secret = user.mfa.pendingSecret;
+  user.mfa.pendingSecret = undefined;
+  user.mfa.enabled = true;
+  user.mfa.enabledAt = new Date();
+  user.mfa.lastUsedStep = step;
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+    data: {
+      recoveryCodes,
+    },
+  });
+});
+
+/**
+ * @desc    Disable 2FA
+ * @route   POST /api/auth/mfa/disable
+ * @access  Private
+ */
+export const disableMfa = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    '+password +mfa.secret +mfa.lastUsedStep'
+  );
+
+  if (!user.mfa.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled', StatusCodes.BAD_REQUEST));
+  }
+
+  const isPasswordValid = await user.comparePassword(req.body.password);
+  if (!isPasswordValid || !(await verifySecondFactor(user, req.body))) {
+    return next(new AppError('Invalid credentials', StatusCodes.UNAUTHORIZED));
+  }
+
+  user.mfa = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    message: 'Two-factor authentication disabled',
+  });
+});
+
+/**
+ * @desc    Replace all recovery codes
+ * @route   POST /api/auth/mfa/recovery-codes
+ * @access  Private
+ */
+export const regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('+mfa.secret +mfa.lastUsedStep');
+
+  if (!user.mfa.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled', StatusCodes.BAD_REQUEST));
+  }
+
+  if (!(await user.verifyMfaCode(req.body.code))) {
+    return next(new AppError('Invalid authentication code', StatusCodes.UNAUTHORIZED));
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    data: {
+      recoveryCodes,
+    },
+  });
+});
+
+/**
+ * @desc    Complete a login with a TOTP or recovery code
+ * @route   POST /api/auth/mfa/verify
+ * @access  Public (requires MFA token from login)
+ */
+export const verifyMfa = asyncHandler(async (req, res, next) => {
+  let decoded;
+  try {
+    decoded = verifyPurposeToken(req.body.mfaToken, 'mfa');
+  } catch (error) {
+    return next(new AppError('MFA session is invalid or has expired', StatusCodes.UNAUTHORIZED));
+  }
+
+  const user = await User.findById(decoded.id).select('+mfa.secret +mfa.lastUsedStep');
+
+  if (!user || !user.isActive || !user.mfa.enabled) {
+    return next(new AppError('MFA session is invalid or has expired', StatusCodes.UNAUTHORIZED));
+  }
+
+  if (!(await verifySecondFactor(user, req.body))) {
+    await recordFailedLogin(req, user, 'invalid_mfa_code');
+    return next(new AppError('Invalid authentication code', StatusCodes.UNAUTHORIZED));
+  }
+
+  await completeLogin(user, req, res);
+});
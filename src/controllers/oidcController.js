@@ -0,0 +1,172 @@
+import User from '../models/User.js';
+import config from '../config/config.js';
+import { continueLogin } from './authController.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AppError } from '../utils/AppError.js';
+import { getProvider, createPkcePair } from '../utils/oidc.js';
+import { generateRandomToken, safeEqual } from '../utils/tokens.js';
+import { signPurposeToken, verifyPurposeToken } from '../utils/jwt.js';
+import logger from '../utils/logger.js';
+import { StatusCodes } from 'http-status-codes';
+
+/**
+ * OpenID Connect Login Controller
+ *
+ * Best Practices:
+ * 1. Signed state cookie - state, nonce and PKCE verifier never leave the server unsigned
+ * 2. Account linking only by verified email - Never trust an unverified address
+ * 3. Same session handling as password login - 2FA, sessions, refresh tokens
+ */
+
+const STATE_COOKIE = 'oidc_state';
+const STATE_COOKIE_PATH = '/api/auth/oidc';
+
+const callbackUrl = (provider) => `${config.oidc.callbackBaseUrl}/${provider.name}/callback`;
+
+/**
+ * Resolve the local user for a verified ID token
+ *
+ * 1. An account already linked to this provider identity
+ * 2. An account with the same email, when the provider verified that email
+ * 3. A new password-less account
+ */
+export const findOrCreateOidcUser = async (providerName, claims) => {
+  const identity = {
+    provider: providerName,
+    subject: String(claims.sub),
+    email: claims.email,
+  };
+
+  const linkedUser = await User.findByIdentity(identity.provider, identity.subject);
+  if (linkedUser) {
+    return linkedUser;
+  }
+
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+  if (!claims.email || !emailVerified) {
+    throw new AppError('Your provider account has no verified email address', StatusCodes.BAD_REQUEST);
+  }
+
+  const existingUser = await User.findByEmail(claims.email).select('+password');
+  if (existingUser) {
+    existingUser.identities.push(identity);
+
+    // Nobody proved ownership of this address before, so a password set
+    // during registration may belong to someone else: discard it
+    if (!existingUser.emailVerified) {
+      existingUser.password = undefined;
+      existingUser.emailVerified = true;
+      existingUser.emailVerifiedAt = new Date();
+      await existingUser.save({ validateBeforeSave: false });
+      await existingUser.revokeAllTokens();
+    } else {
+      await existingUser.save({ validateBeforeSave: false });
+    }
+    return existingUser;
+  }
+
+  return User.create({
+    name: String(claims.name || claims.email.split('@')[0]).slice(0, 50),
+    email: claims.email,
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+    identities: [identity],
+  });
+};
+
+/**
+ * @desc    Start a social login
+ * @route   GET /api/auth/oidc/:provider
+ * @access  Public
+ */
+export const startOidcLogin = asyncHandler(async (req, res, next) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return next(new AppError('Unknown login provider', StatusCodes.NOT_FOUND));
+  }
+
+  const state = generateRandomToken(16);
+  const nonce = generateRandomToken(16);
+  const { verifier, challenge } = createPkcePair();
+
+  const authorizationUrl = await provider.getAuthorizationUrl({
+    redirectUri: callbackUrl(provider),
+    state,
+    nonce,
+    codeChallenge: challenge,
+  });
+
+  const stateToken = signPurposeToken(
+    'oidc',
+    { provider: provider.name, state, nonce, verifier },
+    { expiresIn: `${config.oidc.stateExpiresMinutes}m` }
+  );
+
+  // Lax so the cookie survives the top-level redirect back from the provider
+  res.cookie(STATE_COOKIE, stateToken, {
+    httpOnly: true,
+    secure: config.isProduction,
+    sameSite: 'lax',
+    path: STATE_COOKIE_PATH,
+    maxAge: config.oidc.stateExpiresMinutes * 60 * 1000,
+  });
+
+  res.redirect(authorizationUrl);
+});
+
+/**
+ * @desc    Handle the provider callback and log the user in
+ * @route   GET /api/auth/oidc/:provider/callback
+ * @access  Public
+ */
+export const oidcCallback = asyncHandler(async (req, res, next) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return next(new AppError('Unknown login provider', StatusCodes.NOT_FOUND));
+  }
+
+  const { code, state, error } = req.query;
+  const stateToken = req.cookies && req.cookies[STATE_COOKIE];
+  res.clearCookie(STATE_COOKIE, { path: STATE_COOKIE_PATH });
+
+  if (error) {
+    return next(new AppError(`Login with ${provider.name} failed: ${error}`, StatusCodes.BAD_REQUEST));
+  }
+
+  let saved;
+  try {
+    saved = verifyPurposeToken(stateToken, 'oidc');
+  } catch (err) {
+    return next(new AppError('Login session expired, please try again', StatusCodes.BAD_REQUEST));
+  }
+
+  if (
+    saved.provider !== provider.name ||
+    !code ||
+    !state ||
+    !safeEqual(state, saved.state)
+  ) {
+    return next(new AppError('Invalid login state, please try again', StatusCodes.BAD_REQUEST));
+  }
+
+  let claims;
+  try {
+    const tokens = await provider.exchangeCode({
+      code,
+      codeVerifier: saved.verifier,
+      redirectUri: callbackUrl(provider),
+    });
+    claims = await provider.verifyIdToken(tokens.id_token, { nonce: saved.nonce });
+  } catch (err) {
+    logger.warn(`OIDC login with ${provider.name} failed: ${err.message}`);
+    return next(new AppError(`Could not verify login with ${provider.name}`, StatusCodes.UNAUTHORIZED));
+  }
+
+  const user = await findOrCreateOidcUser(provider.name, claims);
+
+  if (!user.isActive) {
+    return next(new AppError('Account is inactive', StatusCodes.UNAUTHORIZED));
+  }
+
+  await continueLogin(user, req, res);
+});
@@ -0,0 +1,281 @@
+import Organization from '../models/Organization.js';
+import Membership from '../models/Membership.js';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import AuditLog from '../models/AuditLog.js';
+import { setAuthCookies } from './authController.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AppError } from '../utils/AppError.js';
+import { StatusCodes } from 'http-status-codes';
+
+/**
+ * Organization Controller
+ *
+ * Best Practices:
+ * 1. Creator becomes admin - Every new organization starts with one admin member
+ * 2. Last admin protection - An organization always keeps at least one admin
+ * 3. Per-organization roles - Member roles are Role names checked like global roles
+ * 4. Session-bound selection - The selected organization is stored on the session
+ */
+
+const LAST_ADMIN_MESSAGE = 'An organization needs at least one admin';
+
+/**
+ * Change a member's role, keeping at least one admin in the organization
+ * Written first and undone when no admin is left, like updateKeepingAnAdmin
+ * for global admins, so two concurrent demotions cannot both pass a count.
+ * @returns {Promise<AppError|null>}
+ */
+const updateRoleKeepingAnAdmin = async (membership, role) => {
+  const previous = membership.role;
+  await Membership.updateOne({ _id: membership._id }, { $set: { role } });
+
+  const demoted = previous === 'admin' && role !== 'admin';
+  if (demoted && (await Membership.countWithRole(membership.organization, 'admin')) === 0) {
+    await Membership.updateOne({ _id: membership._id }, { $set: { role: previous } });
+    return new AppError(LAST_ADMIN_MESSAGE, StatusCodes.BAD_REQUEST);
+  }
+
+  membership.set('role', role);
+  membership.unmarkModified('role');
+  return null;
+};
+
+/**
+ * Remove a membership, keeping at least one admin in the organization
+ * Deleted first and restored when no admin is left.
+ * @returns {Promise<AppError|null>}
+ */
+const removeKeepingAnAdmin = async (membership) => {
+  await Membership.deleteOne({ _id: membership._id });
+
+  if (membership.role === 'admin' && (await Membership.countWithRole(membership.organization, 'admin')) === 0) {
+    await Membership.create(membership.toObject());
+    return new AppError(LAST_ADMIN_MESSAGE, StatusCodes.BAD_REQUEST);
+  }
+  return null;
+};
+
+/**
+ * Load the active organization in the URL and the current user's membership
+ * Used as router.param('id'); non-members get a 404 so ids cannot be probed.
+ */
+export const loadOrganization = asyncHandler(async (req, res, next) => {
+  const organization = await Organization.findActive(req.params.id);
+  const membership = organization && (await Membership.findMembership(req.user._id, organization._id));
+
+  if (!membership) {
+    return next(new AppError('Organization not found', StatusCodes.NOT_FOUND));
+  }
+
+  req.organization = organization;
+  req.membership = membership;
+  next();
+});
+
+/**
+ * @desc    Create an organization
+ * @route   POST /api/organizations
+ * @access  Private
+ */
+export const createOrganization = asyncHandler(async (req, res) => {
+  const { name, slug } = req.body;
+
+  const organization = await Organization.create({ name, slug, createdBy: req.user._id });
+  await Membership.create({ user: req.user._id, organization: organization._id, role: 'admin' });
+
+  await AuditLog.record(req, {
+    action: 'organization.create',
+    targetType: 'Organization',
+    targetId: organization._id,
+    after: { name: organization.name, slug: organization.slug },
+  });
+
+  res.status(StatusCodes.CREATED).json({
+    status: 'success',
+    data: {
+      organization,
+    },
+  });
+});
+
+/**
+ * @desc    List the organizations the current user belongs to
+ * @route   GET /api/organizations
+ * @access  Private
+ */
+export const getMyOrganizations = asyncHandler(async (req, res) => {
+  const memberships = await Membership.find({ user: req.user._id })
+    .populate({ path: 'organization', match: { isActive: true } })
+    .sort('createdAt');
+
+  const organizations = memberships
+    .filter((membership) => membership.organization)
+    .map((membership) => ({
+      ...membership.organization.toObject(),
+      role: membership.role,
+      current: Boolean(req.auth && req.auth.org === String(membership.organization._id)),
+    }));
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    results: organizations.length,
+    data: {
+      organizations,
+    },
+  });
+});
+
+/**
+ * @desc    Select the active organization for the current session
+ * @route   POST /api/organizations/:id/select
+ * @access  Private (member)
+ */
+export const selectOrganization = asyncHandler(async (req, res, next) => {
+  if (!req.authSession) {
+    return next(
+      new AppError('Only login sessions can select an organization', StatusCodes.BAD_REQUEST)
+    );
+  }
+
+  req.authSession.organization = req.organization._id;
+  await req.authSession.save();
+
+  // A fresh access token carries the new `org` claim
+  const token = req.user.generateToken({
+    sessionId: req.authSession.id,
+    organizationId: req.organization._id,
+    authenticatedAt: req.authSession.authenticatedAt,
+  });
+  setAuthCookies(res, token);
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    token,
+    data: {
+      organization: req.organization,
+      role: req.membership.role,
+    },
+  });
+});
+
+/**
+ * @desc    List the members of an organization
+ * @route   GET /api/organizations/:id/members
+ * @access  Private (member)
+ */
+export const getMembers = asyncHandler(async (req, res) => {
+  const members = await Membership.find({ organization: req.organization._id })
+    .populate('user', 'name email')
+    .sort('createdAt');
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    results: members.length,
+    data: {
+      members,
+    },
+  });
+});
+
+/**
+ * @desc    Add an existing user to an organization
+ * @route   POST /api/organizations/:id/members
+ * @access  Private (organization:manage)
+ */
+export const addMember = asyncHandler(async (req, res, next) => {
+  const { email, role = 'user' } = req.body;
+
+  const user = await User.findOne({ email: String(email).toLowerCase() });
+  if (!user) {
+    return next(new AppError('User not found', StatusCodes.NOT_FOUND));
+  }
+  if (!(await Role.exists({ name: role }))) {
+    return next(new AppError(`Role '${role}' does not exist`, StatusCodes.BAD_REQUEST));
+  }
+  if (await Membership.findMembership(user._id, req.organization._id)) {
+    return next(new AppError('User is already a member', StatusCodes.BAD_REQUEST));
+  }
+
+  const member = await Membership.create({ user: user._id, organization: req.organization._id, role });
+  await AuditLog.record(req, {
+    action: 'organization.member.add',
+    targetType: 'Organization',
+    targetId: req.organization._id,
+    after: { user: user._id, role },
+  });
+
+  res.status(StatusCodes.CREATED).json({
+    status: 'success',
+    data: {
+      member,
+    },
+  });
+});
+
+/**
+ * @desc    Change a member's role in an organization
+ * @route   PATCH /api/organizations/:id/members/:userId
+ * @access  Private (organization:manage)
+ */
+export const updateMemberRole = asyncHandler(async (req, res, next) => {
+  const { role } = req.body;
+
+  const member = await Membership.findMembership(req.params.userId, req.organization._id);
+  if (!member) {
+    return next(new AppError('Member not found', StatusCodes.NOT_FOUND));
+  }
+  if (!(await Role.exists({ name: role }))) {
+    return next(new AppError(`Role '${role}' does not exist`, StatusCodes.BAD_REQUEST));
+  }
+
+  const before = { role: member.role };
+  const lastAdminError = await updateRoleKeepingAnAdmin(member, role);
+  if (lastAdminError) {
+    return next(lastAdminError);
+  }
+
+  await AuditLog.record(req, {
+    action: 'organization.member.role.update',
+    targetType: 'Organization',
+    targetId: req.organization._id,
+    before: { user: member.user, ...before },
+    after: { user: member.user, role },
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    data: {
+      member,
+    },
+  });
+});
+
+/**
+ * @desc    Remove a member from an organization
+ * @route   DELETE /api/organizations/:id/members/:userId
+ * @access  Private (organization:manage)
+ */
+export const removeMember = asyncHandler(async (req, res, next) => {
+  const member = await Membership.findMembership(req.params.userId, req.organization._id);
+  if (!member) {
+    return next(new AppError('Member not found', StatusCodes.NOT_FOUND));
+  }
+
+  const lastAdminError = await removeKeepingAnAdmin(member);
+  if (lastAdminError) {
+    return next(lastAdminError);
+  }
+
+  await AuditLog.record(req, {
+    action: 'organization.member.remove',
+    targetType: 'Organization',
+    targetId: req.organization._id,
+    before: { user: member.user, role: member.role },
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    message: 'Member removed',
+  });
+});
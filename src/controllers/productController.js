@@ -1,6 +1,11 @@
 import Product from '../models/Product.js';
+import AuditLog from '../models/AuditLog.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { AppError } from '../utils/AppError.js';
+import { decodeCursor, encodeCursor, cursorQuery, buildLinkHeader } from '../utils/cursor.js';
+import { parseFilters, parseSortParam } from '../utils/queryFilter.js';
+import { searchTerms, highlight, fuzzyPrefixPattern, prefixDistance } from '../utils/textSearch.js';
+import { validationError } from '../middleware/validation.js';
 import { StatusCodes } from 'http-status-codes';
 
 /**
@@ -8,35 +13,81 @@ import { StatusCodes } from 'http-status-codes';
  * 
  * Best Practices:
  * 1. CRUD operations - Complete CRUD functionality
- * 2. Pagination - Handle large datasets
- * 3. Filtering - Advanced filtering options
- * 4. Sorting - Flexible sorting
- * 5. Search - Full-text search capability
+ * 2. Pagination - Cursor (keyset) pages by default, offset pages on request
+ * 3. Filtering - Whitelisted field[operator]=value grammar, cast through the schema
+ * 4. Sorting - Multi-field sorting on whitelisted fields
+ * 5. Search - Relevance-ranked full-text search with highlights, and typo-tolerant autocomplete
+ * 6. Facets - Disjunctive facet counts from one aggregation
  */
 
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+// Query parameters that are not filters
+const RESERVED_PARAMS = ['page', 'limit', 'cursor', 'total', 'sort', 'search', 'minPrice', 'maxPrice', 'inStock'];
+
+const RANGE_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'between'];
+
+// Filterable fields: public name => schema path and allowed operators
+const FILTER_FIELDS = {
+  price: { path: 'price.amount', operators: RANGE_OPERATORS },
+  stock: { path: 'stock', operators: RANGE_OPERATORS },
+  rating: { path: 'rating.average', operators: RANGE_OPERATORS },
+  createdAt: { path: 'createdAt', operators: ['gt', 'gte', 'lt', 'lte', 'between'] },
+  category: { path: 'category', operators: ['eq', 'ne', 'in', 'nin'] },
+  tags: { path: 'tags', operators: ['eq', 'in', 'nin', 'all'] },
+};
+
+const SORT_FIELDS = ['createdAt', 'name', 'price.amount', 'rating.average', 'stock'];
+
+// Named sorts from before multi-field sorting
+const SORT_ALIASES = {
+  priceAsc: 'price.amount',
+  priceDesc: '-price.amount',
+  nameAsc: 'name',
+  nameDesc: '-name',
+  newest: '-createdAt',
+  oldest: 'createdAt',
+};
+
 /**
  * Advanced query building helper
+ * @throws {AppError} 400 in the validate format for unknown fields, operators or sort keys
  */
 const buildQuery = (query) => {
-  const { category, minPrice, maxPrice, inStock, search, sort } = query;
-
-  let filter = { isActive: true };
+  const { minPrice, maxPrice, inStock, search, sort } = query;
+  const filterParams = Object.fromEntries(
+    Object.entries(query).filter(([key]) => !RESERVED_PARAMS.includes(key))
+  );
+
+  const { filter: fieldFilter, errors: filterErrors } = parseFilters(
+    filterParams,
+    FILTER_FIELDS,
+    Product.schema
+  );
+  const { sortOption, errors: sortErrors } = parseSortParam(sort, {
+    fields: SORT_FIELDS,
+    aliases: SORT_ALIASES,
+    defaultSort: '-createdAt', // Default: newest first
+  });
 
-  // Category filter
-  if (category) {
-    filter.category = category;
+  const errors = [...filterErrors, ...sortErrors];
+  if (errors.length > 0) {
+    throw validationError(errors);
   }
 
-  // Price range filter
+  const filter = { ...fieldFilter, isActive: true };
+
+  // Price range filter (shorthand for price[gte] / price[lte])
   if (minPrice || maxPrice) {
-    filter['price.amount'] = {};
+    filter['price.amount'] = { ...filter['price.amount'] };
     if (minPrice) filter['price.amount'].$gte = parseFloat(minPrice);
     if (maxPrice) filter['price.amount'].$lte = parseFloat(maxPrice);
   }
 
   // Stock filter
   if (inStock === 'true') {
-    filter.stock = { $gt: 0 };
+    filter.stock = { ...filter.stock, $gt: 0 };
   }
 
   // Search filter
@@ -44,47 +95,28 @@ const buildQuery = (query) => {
     filter.$text = { $search: search };
   }
 
-  // Sort options
-  let sortOption = '-createdAt'; // Default: newest first
-  if (sort) {
-    const sortFields = {
-      priceAsc: 'price.amount',
-      priceDesc: '-price.amount',
-      nameAsc: 'name',
-      nameDesc: '-name',
-      newest: '-createdAt',
-      oldest: 'createdAt',
-    };
-    sortOption = sortFields[sort] || sortOption;
-  }
-
   return { filter, sortOption };
 };
 
 /**
- * @desc    Get all products
- * @route   GET /api/products
- * @access  Public
+ * One page by offset (`?page=`), kept for existing clients
+ * Deep pages get slower and rows shift when products are added.
  */
-export const getProducts = asyncHandler(async (req, res) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 10;
-  const skip = (page - 1) * limit;
-
-  const { filter, sortOption } = buildQuery(req.query);
-
-  const products = await Product.find(filter)
-    .populate('createdBy', 'name email')
-    .sort(sortOption)
-    .skip(skip)
-    .limit(limit);
-
-  const total = await Product.countDocuments(filter);
+const sendOffsetPage = async (res, { filter, sortOption, page, limit }) => {
+  const [products, total] = await Promise.all([
+    Product.find(filter)
+      .populate('createdBy', 'name email')
+      .sort(sortOption)
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Product.countDocuments(filter),
+  ]);
 
   res.status(StatusCodes.OK).json({
     status: 'success',
     results: products.length,
     pagination: {
+      mode: 'offset',
       page,
       limit,
       total,
@@ -94,6 +126,207 @@ export const getProducts = asyncHandler(async (req, res) => {
       products,
     },
   });
+};
+
+/**
+ * One page by cursor (`?cursor=`), the default
+ * Cursors encode the sort value and _id of the row at the edge of the page.
+ */
+const sendCursorPage = async (req, res, { filter, sortOption, limit, withTotal }) => {
+  const cursor = req.query.cursor ? decodeCursor(req.query.cursor, sortOption, Product.schema) : null;
+  const { filter: cursorFilter, sort } = cursorQuery(sortOption, cursor);
+  const backwards = Boolean(cursor && cursor.direction === 'prev');
+
+  // One extra row tells whether there is another page in this direction
+  const [rows, total] = await Promise.all([
+    Product.find(cursor ? { $and: [filter, cursorFilter] } : filter)
+      .populate('createdBy', 'name email')
+      .sort(sort)
+      .limit(limit + 1),
+    withTotal ? Product.countDocuments(filter) : undefined,
+  ]);
+
+  const hasMore = rows.length > limit;
+  const products = rows.slice(0, limit);
+  if (backwards) {
+    products.reverse();
+  }
+
+  // Coming from a cursor means there are rows on the side we came from
+  const hasNext = backwards || hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(cursor);
+  const first = products[0];
+  const last = products[products.length - 1];
+  const next = hasNext && last ? encodeCursor(sortOption, last, 'next') : null;
+  const prev = hasPrev && first ? encodeCursor(sortOption, first, 'prev') : null;
+
+  res.set(
+    'Link',
+    buildLinkHeader(`${req.protocol}://${req.get('host')}${req.originalUrl}`, {
+      first: '',
+      prev,
+      next,
+    })
+  );
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    results: products.length,
+    pagination: {
+      mode: 'cursor',
+      limit,
+      next,
+      prev,
+      ...(withTotal && { total }),
+    },
+    data: {
+      products,
+    },
+  });
+};
+
+/**
+ * @desc    Get all products
+ * @route   GET /api/products
+ * @access  Public
+ */
+export const getProducts = asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const { filter, sortOption } = buildQuery(req.query);
+
+  if (req.query.page) {
+    const page = parseInt(req.query.page, 10) || 1;
+    return sendOffsetPage(res, { filter, sortOption, page, limit });
+  }
+
+  return sendCursorPage(req, res, {
+    filter,
+    sortOption,
+    limit,
+    withTotal: req.query.total === 'true',
+  });
+});
+
+// Facets and the filter path each one ignores (disjunctive faceting)
+const FACET_PATHS = {
+  category: 'category',
+  tags: 'tags',
+  price: 'price.amount',
+  availability: 'stock',
+};
+
+// Lower bounds of the price buckets; the last one is open-ended
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+
+// $bucket fails on values outside its boundaries, so those (e.g. a missing
+// price) are collected here instead
+const OTHER_PRICE_BUCKET = 'other';
+
+const MAX_TAG_FACETS = 50;
+
+/**
+ * Build the facet aggregation for a buildQuery filter
+ * Conditions on faceted paths move into the facets, so each facet counts as
+ * if its own filter were not set. Everything else (including $text, which
+ * must be in the first stage) is matched once up front.
+ */
+export const buildFacetPipeline = (filter) => {
+  const facetPaths = Object.values(FACET_PATHS);
+  const shared = {};
+  const faceted = {};
+  for (const [path, condition] of Object.entries(filter)) {
+    (facetPaths.includes(path) ? faceted : shared)[path] = condition;
+  }
+
+  // Faceted conditions except the one on `path`
+  const matchExcept = (path) => ({
+    $match: Object.fromEntries(Object.entries(faceted).filter(([key]) => key !== path)),
+  });
+
+  return [
+    { $match: shared },
+    {
+      $facet: {
+        total: [{ $match: faceted }, { $count: 'count' }],
+        category: [
+          matchExcept(FACET_PATHS.category),
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+        tags: [
+          matchExcept(FACET_PATHS.tags),
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: MAX_TAG_FACETS },
+        ],
+        priceBuckets: [
+          matchExcept(FACET_PATHS.price),
+          {
+            $bucket: {
+              groupBy: '$price.amount',
+              boundaries: [...PRICE_BUCKETS, Number.MAX_VALUE],
+              default: OTHER_PRICE_BUCKET,
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        priceRange: [
+          matchExcept(FACET_PATHS.price),
+          { $group: { _id: null, min: { $min: '$price.amount' }, max: { $max: '$price.amount' } } },
+        ],
+        availability: [
+          matchExcept(FACET_PATHS.availability),
+          { $group: { _id: { $gt: ['$stock', 0] }, count: { $sum: 1 } } },
+        ],
+      },
+    },
+  ];
+};
+
+/**
+ * Shape the raw $facet output for clients
+ */
+export const formatFacets = ({ total, category, tags, priceBuckets, priceRange, availability }) => {
+  const bucketCounts = new Map(priceBuckets.map(({ _id, count }) => [_id, count]));
+  const countOf = (inStock) => (availability.find(({ _id }) => _id === inStock) || { count: 0 }).count;
+
+  return {
+    total: total.length > 0 ? total[0].count : 0,
+    category: category.map(({ _id, count }) => ({ value: _id, count })),
+    tags: tags.map(({ _id, count }) => ({ value: _id, count })),
+    price: {
+      min: priceRange.length > 0 ? priceRange[0].min : null,
+      max: priceRange.length > 0 ? priceRange[0].max : null,
+      buckets: PRICE_BUCKETS.map((from, i) => ({
+        from,
+        to: i + 1 < PRICE_BUCKETS.length ? PRICE_BUCKETS[i + 1] : null,
+        count: bucketCounts.get(from) || 0,
+      })),
+      other: bucketCounts.get(OTHER_PRICE_BUCKET) || 0,
+    },
+    availability: {
+      inStock: countOf(true),
+      outOfStock: countOf(false),
+    },
+  };
+};
+
+/**
+ * @desc    Facet counts for the product filters
+ * @route   GET /api/products/facets
+ * @access  Public
+ */
+export const getProductFacets = asyncHandler(async (req, res) => {
+  const { filter } = buildQuery(req.query);
+  const [result] = await Product.aggregate(buildFacetPipeline(filter));
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    data: {
+      facets: formatFacets(result),
+    },
+  });
 });
 
 /**
@@ -116,16 +349,30 @@ export const getProduct = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Fields clients may set. Ownership, status, tenant and the review-derived
+// rating are maintained by the server.
+const EDITABLE_FIELDS = ['name', 'description', 'price', 'category', 'stock', 'sku', 'tags', 'images'];
+
+const writableFields = (body) => {
+  return Object.fromEntries(Object.entries(body).filter(([key]) => EDITABLE_FIELDS.includes(key)));
+};
+
 /**
  * @desc    Create product
  * @route   POST /api/products
- * @access  Private (Admin only)
+ * @access  Private (product:create)
  */
 export const createProduct = asyncHandler(async (req, res) => {
   const product = await Product.create({
-    ...req.body,
+    ...writableFields(req.body),
     createdBy: req.user.id,
   });
+  await AuditLog.record(req, {
+    action: 'product.create',
+    targetType: 'Product',
+    targetId: product._id,
+    after: product.toObject({ virtuals: false }),
+  });
 
   res.status(StatusCodes.CREATED).json({
     status: 'success',
@@ -138,7 +385,7 @@ export const createProduct = asyncHandler(async (req, res) => {
 /**
  * @desc    Update product
  * @route   PATCH /api/products/:id
- * @access  Private (Admin only)
+ * @access  Private (product:update, or product:update:own for the creator)
  */
 export const updateProduct = asyncHandler(async (req, res, next) => {
   const product = await Product.findById(req.params.id);
@@ -147,8 +394,16 @@ export const updateProduct = asyncHandler(async (req, res, next) => {
     return next(new AppError('Product not found', StatusCodes.NOT_FOUND));
   }
 
-  Object.assign(product, req.body);
+  const before = product.toObject({ virtuals: false });
+  Object.assign(product, writableFields(req.body));
   await product.save();
+  await AuditLog.record(req, {
+    action: 'product.update',
+    targetType: 'Product',
+    targetId: product._id,
+    before,
+    after: product.toObject({ virtuals: false }),
+  });
 
   res.status(StatusCodes.OK).json({
     status: 'success',
@@ -161,7 +416,7 @@ export const updateProduct = asyncHandler(async (req, res, next) => {
 /**
  * @desc    Delete product
  * @route   DELETE /api/products/:id
- * @access  Private (Admin only)
+ * @access  Private (product:delete, or product:delete:own for the creator)
  */
 export const deleteProduct = asyncHandler(async (req, res, next) => {
   const product = await Product.findById(req.params.id);
@@ -171,8 +426,16 @@ export const deleteProduct = asyncHandler(async (req, res, next) => {
   }
 
   // Soft delete - set isActive to false
+  const before = { isActive: product.isActive };
   product.isActive = false;
   await product.save();
+  await AuditLog.record(req, {
+    action: 'product.delete',
+    targetType: 'Product',
+    targetId: product._id,
+    before,
+    after: { isActive: product.isActive },
+  });
 
   res.status(StatusCodes.OK).json({
     status: 'success',
@@ -180,29 +443,106 @@ export const deleteProduct = asyncHandler(async (req, res, next) => {
   });
 });
 
+const SNIPPET_LENGTH = 160;
+const DEFAULT_SUGGESTIONS = 8;
+const MAX_SUGGESTIONS = 20;
+
 /**
- * @desc    Search products
+ * @desc    Search products, best matches first
  * @route   GET /api/products/search
  * @access  Public
  */
 export const searchProducts = asyncHandler(async (req, res) => {
-  const { q } = req.query;
+  const { q, page: pageParam, limit: limitParam, ...filterParams } = req.query;
+  const page = parseInt(pageParam, 10) || 1;
+  const limit = Math.min(parseInt(limitParam, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+  // The list filters narrow the search; relevance decides the order
+  const { filter } = buildQuery({ ...filterParams, sort: undefined });
+  const query = Product.searchProducts(q, { filter });
+
+  const [products, total] = await Promise.all([
+    query
+      .clone()
+      .populate('createdBy', 'name email')
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Product.countDocuments(query.getFilter()),
+  ]);
+
+  const terms = searchTerms(q);
+  const results = products.map((product) => ({
+    ...product.toJSON(),
+    highlights: {
+      name: highlight(product.name, terms),
+      description: highlight(product.description, terms, { maxLength: SNIPPET_LENGTH }),
+      tags: product.tags.filter((tag) => terms.some((term) => tag.toLowerCase().startsWith(term))),
+    },
+  }));
 
-  if (!q) {
-    return res.status(StatusCodes.BAD_REQUEST).json({
-      status: 'error',
-      message: 'Search query is required',
-    });
-  }
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    results: results.length,
+    pagination: {
+      mode: 'offset',
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+    data: {
+      products: results,
+    },
+  });
+});
 
-  const products = await Product.searchProducts(q);
+/**
+ * @desc    Product name suggestions for a prefix, tolerating one typo
+ * @route   GET /api/products/autocomplete
+ * @access  Public
+ */
+export const autocompleteProducts = asyncHandler(async (req, res) => {
+  const q = req.query.q.trim();
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_SUGGESTIONS, MAX_SUGGESTIONS);
+
+  // Names starting with the query come first, from an index range scan
+  const exact = await Product.findByNamePrefix(q).select('name category').limit(limit).lean();
+
+  // Only scan for word prefixes and typos when that leaves slots to fill
+  const remaining = limit - exact.length;
+  const fuzzy =
+    remaining > 0
+      ? await Product.find({
+          _id: { $nin: exact.map((product) => product._id) },
+          isActive: true,
+          name: { $regex: fuzzyPrefixPattern(q), $options: 'i' },
+        })
+          .select('name category')
+          .limit(remaining * 5)
+          .lean()
+      : [];
+
+  // Shorter names first: they are closer to what was typed
+  const byLength = (a, b) => a.name.length - b.name.length || a.name.localeCompare(b.name);
+  const ranked = fuzzy
+    .map((product) => ({ product, distance: prefixDistance(q, product.name) }))
+    .sort((a, b) => a.distance - b.distance || byLength(a.product, b.product))
+    .map(({ product }) => product);
+
+  const suggestions = [...exact.sort(byLength), ...ranked]
+    .slice(0, limit)
+    .map((product) => ({
+      id: product._id,
+      name: product.name,
+      category: product.category,
+      highlight: highlight(product.name, [q.toLowerCase()]),
+    }));
 
   res.status(StatusCodes.OK).json({
     status: 'success',
-    results: products.length,
+    results: suggestions.length,
     data: {
-      products,
+      suggestions,
     },
   });
 });
-
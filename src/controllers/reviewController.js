@@ -0,0 +1,326 @@
+import mongoose from 'mongoose';
+import Review from '../models/Review.js';
+import Product from '../models/Product.js';
+import AuditLog from '../models/AuditLog.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AppError } from '../utils/AppError.js';
+import { StatusCodes } from 'http-status-codes';
+
+/**
+ * Review Controller
+ *
+ * Best Practices:
+ * 1. One review per customer - A second review is a conflict; edit the first one instead
+ * 2. Authors own their reviews - Other users get a 404, moderators use the admin routes
+ * 3. Ratings follow reviews - Every change that affects published ratings recomputes the product
+ * 4. Auditability - Moderation actions are recorded
+ */
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+const SORT_OPTIONS = {
+  newest: '-createdAt',
+  oldest: 'createdAt',
+  highest: '-rating -createdAt',
+  lowest: 'rating -createdAt',
+};
+
+const EDITABLE_FIELDS = ['rating', 'title', 'body'];
+
+/**
+ * Load the active product in the URL
+ * Runs inside the tenant context, so products of other organizations are not found.
+ */
+export const loadProduct = asyncHandler(async (req, res, next) => {
+  const product = mongoose.isValidObjectId(req.params.id)
+    ? await Product.findOne({ _id: req.params.id, isActive: true })
+    : null;
+
+  if (!product) {
+    return next(new AppError('Product not found', StatusCodes.NOT_FOUND));
+  }
+
+  req.product = product;
+  next();
+});
+
+/**
+ * Find the current user's review of the loaded product
+ */
+const findOwnReview = (req) => {
+  if (!mongoose.isValidObjectId(req.params.reviewId)) {
+    return null;
+  }
+  return Review.findOne({
+    _id: req.params.reviewId,
+    product: req.product._id,
+    author: req.user._id,
+  });
+};
+
+/**
+ * Load a review for moderation
+ */
+const findReview = (id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return null;
+  }
+  return Review.findById(id);
+};
+
+/**
+ * @desc    List the published reviews of a product
+ * @route   GET /api/products/:id/reviews
+ * @access  Public
+ */
+export const getReviews = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const sortOption = SORT_OPTIONS[req.query.sort] || SORT_OPTIONS.newest;
+
+  const filter = { product: req.product._id, status: 'published' };
+  if (req.query.rating) {
+    filter.rating = parseInt(req.query.rating, 10);
+  }
+
+  const [reviews, total, distribution] = await Promise.all([
+    Review.find(filter)
+      .populate('author', 'name')
+      .select('-moderation')
+      .sort(sortOption)
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Review.countDocuments(filter),
+    Review.ratingDistribution(req.product._id),
+  ]);
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    results: reviews.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+    data: {
+      rating: {
+        average: req.product.rating.average,
+        count: req.product.rating.count,
+        distribution,
+      },
+      reviews,
+    },
+  });
+});
+
+/**
+ * @desc    Review a product
+ * @route   POST /api/products/:id/reviews
+ * @access  Private
+ */
+export const createReview = asyncHandler(async (req, res, next) => {
+  const { rating, title, body } = req.body;
+  const alreadyReviewed = () =>
+    new AppError('You have already reviewed this product; edit your review instead', StatusCodes.CONFLICT);
+
+  if (await Review.exists({ product: req.product._id, author: req.user._id })) {
+    return next(alreadyReviewed());
+  }
+
+  let review;
+  try {
+    review = await Review.create({
+      product: req.product._id,
+      author: req.user._id,
+      rating,
+      title,
+      body,
+    });
+  } catch (error) {
+    // A concurrent request created the review after the check above
+    if (error.code === 11000) {
+      return next(alreadyReviewed());
+    }
+    throw error;
+  }
+  await Review.recomputeProductRating(req.product._id);
+
+  res.status(StatusCodes.CREATED).json({
+    status: 'success',
+    data: {
+      review,
+    },
+  });
+});
+
+/**
+ * @desc    Edit your review
+ * @route   PATCH /api/products/:id/reviews/:reviewId
+ * @access  Private (author)
+ */
+export const updateReview = asyncHandler(async (req, res, next) => {
+  const review = await findOwnReview(req);
+
+  if (!review) {
+    return next(new AppError('Review not found', StatusCodes.NOT_FOUND));
+  }
+
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) {
+      review[field] = req.body[field];
+    }
+  }
+
+  const ratingChanged = review.isModified('rating');
+  await review.save();
+  // Hidden reviews do not count, so only published rating changes matter
+  if (ratingChanged && review.status === 'published') {
+    await Review.recomputeProductRating(req.product._id);
+  }
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    data: {
+      review,
+    },
+  });
+});
+
+/**
+ * @desc    Delete your review
+ * @route   DELETE /api/products/:id/reviews/:reviewId
+ * @access  Private (author)
+ */
+export const deleteReview = asyncHandler(async (req, res, next) => {
+  const review = await findOwnReview(req);
+
+  if (!review) {
+    return next(new AppError('Review not found', StatusCodes.NOT_FOUND));
+  }
+
+  await review.deleteOne();
+  await Review.recomputeProductRating(req.product._id);
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    message: 'Review deleted',
+  });
+});
+
+/**
+ * @desc    List reviews for moderation
+ * @route   GET /api/admin/reviews
+ * @access  Private (review:moderate)
+ */
+export const getReviewsForModeration = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  const { status, product, author } = req.query;
+
+  const filter = {};
+  if (status) {
+    filter.status = status;
+  }
+  if (product) {
+    filter.product = product;
+  }
+  if (author) {
+    filter.author = author;
+  }
+
+  const [reviews, total] = await Promise.all([
+    Review.find(filter)
+      .populate('author', 'name email')
+      .populate('product', 'name sku')
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Review.countDocuments(filter),
+  ]);
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    results: reviews.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+    data: {
+      reviews,
+    },
+  });
+});
+
+/**
+ * @desc    Publish or hide a review
+ * @route   PATCH /api/admin/reviews/:id
+ * @access  Private (review:moderate)
+ */
+export const moderateReview = asyncHandler(async (req, res, next) => {
+  const { status, reason } = req.body;
+  const review = await findReview(req.params.id);
+
+  if (!review) {
+    return next(new AppError('Review not found', StatusCodes.NOT_FOUND));
+  }
+
+  const before = { status: review.status };
+  review.status = status;
+  review.moderation = { moderatedBy: req.user._id, moderatedAt: new Date(), reason };
+  await review.save();
+
+  if (before.status !== status) {
+    await Review.recomputeProductRating(review.product);
+  }
+  await AuditLog.record(req, {
+    action: 'review.moderate',
+    targetType: 'Review',
+    targetId: review._id,
+    before,
+    after: { status, reason },
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    data: {
+      review,
+    },
+  });
+});
+
+/**
+ * @desc    Remove a review
+ * @route   DELETE /api/admin/reviews/:id
+ * @access  Private (review:moderate)
+ */
+export const removeReview = asyncHandler(async (req, res, next) => {
+  const review = await findReview(req.params.id);
+
+  if (!review) {
+    return next(new AppError('Review not found', StatusCodes.NOT_FOUND));
+  }
+
+  await review.deleteOne();
+  await Review.recomputeProductRating(review.product);
+  await AuditLog.record(req, {
+    action: 'review.delete',
+    targetType: 'Review',
+    targetId: review._id,
+    before: {
+      product: review.product,
+      author: review.author,
+      rating: review.rating,
+      title: review.title,
+      status: review.status,
+    },
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    message: 'Review deleted',
+  });
+});
@@ -0,0 +1,171 @@
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import Membership from '../models/Membership.js';
+import AuditLog from '../models/AuditLog.js';
+import { PERMISSIONS, WILDCARD_PERMISSION } from '../config/permissions.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AppError } from '../utils/AppError.js';
+import { StatusCodes } from 'http-status-codes';
+
+/**
+ * Role Controller
+ *
+ * Best Practices:
+ * 1. Editable permissions - Admins change what a role may do without a deploy
+ * 2. Protected system roles - Built-in roles cannot be deleted
+ * 3. Referential safety - Roles still assigned to users or members cannot be deleted
+ * 4. Admin keeps everything - The admin role cannot lose the wildcard permission
+ * 5. No escalation - Role managers only work with permissions they hold themselves
+ */
+
+/**
+ * Check that the caller holds every permission they create or edit a role with
+ * Otherwise a role manager could give their own role '*' and become an admin.
+ */
+const checkGrantable = async (req, permissions) => {
+  const granted = await Role.getPermissions(req.user.role);
+  if (!Role.covers(granted, permissions)) {
+    return new AppError('You cannot manage roles with permissions you do not have', StatusCodes.FORBIDDEN);
+  }
+  return null;
+};
+
+/**
+ * @desc    List roles and the permission catalog
+ * @route   GET /api/admin/roles
+ * @access  Private (role:manage)
+ */
+export const getRoles = asyncHandler(async (req, res) => {
+  const roles = await Role.find().sort('name');
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    results: roles.length,
+    data: {
+      roles,
+      permissions: PERMISSIONS,
+    },
+  });
+});
+
+/**
+ * @desc    Create a role
+ * @route   POST /api/admin/roles
+ * @access  Private (role:manage)
+ */
+export const createRole = asyncHandler(async (req, res, next) => {
+  const { name, description, permissions } = req.body;
+
+  const grantError = await checkGrantable(req, permissions || []);
+  if (grantError) {
+    return next(grantError);
+  }
+
+  const role = await Role.create({ name, description, permissions });
+  await AuditLog.record(req, {
+    action: 'role.create',
+    targetType: 'Role',
+    targetId: role.name,
+    after: { description: role.description, permissions: role.permissions },
+  });
+
+  res.status(StatusCodes.CREATED).json({
+    status: 'success',
+    data: {
+      role,
+    },
+  });
+});
+
+/**
+ * @desc    Update a role's description or permissions
+ * @route   PATCH /api/admin/roles/:name
+ * @access  Private (role:manage)
+ */
+export const updateRole = asyncHandler(async (req, res, next) => {
+  const role = await Role.findOne({ name: req.params.name });
+
+  if (!role) {
+    return next(new AppError('Role not found', StatusCodes.NOT_FOUND));
+  }
+
+  const before = { description: role.description, permissions: [...role.permissions] };
+  const { description, permissions } = req.body;
+
+  // Both what the role has and what it gets, so a lesser manager cannot strip a bigger role either
+  const grantError = await checkGrantable(req, [...role.permissions, ...(permissions || [])]);
+  if (grantError) {
+    return next(grantError);
+  }
+  if (description !== undefined) {
+    role.description = description;
+  }
+  if (permissions !== undefined) {
+    if (role.name === 'admin' && !permissions.includes(WILDCARD_PERMISSION)) {
+      return next(
+        new AppError(`The admin role must keep the '${WILDCARD_PERMISSION}' permission`, StatusCodes.BAD_REQUEST)
+      );
+    }
+    role.permissions = permissions;
+  }
+  await role.save();
+  await AuditLog.record(req, {
+    action: 'role.update',
+    targetType: 'Role',
+    targetId: role.name,
+    before,
+    after: { description: role.description, permissions: role.permissions },
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    data: {
+      role,
+    },
+  });
+});
+
+/**
+ * @desc    Delete a role
+ * @route   DELETE /api/admin/roles/:name
+ * @access  Private (role:manage)
+ */
+export const deleteRole = asyncHandler(async (req, res, next) => {
+  const role = await Role.findOne({ name: req.params.name });
+
+  if (!role) {
+    return next(new AppError('Role not found', StatusCodes.NOT_FOUND));
+  }
+
+  if (role.isSystem) {
+    return next(new AppError('System roles cannot be deleted', StatusCodes.BAD_REQUEST));
+  }
+
+  const [assigned, members] = await Promise.all([
+    User.countDocuments({ role: role.name }),
+    Membership.countDocuments({ role: role.name }),
+  ]);
+  if (assigned > 0) {
+    return next(
+      new AppError(`Role is still assigned to ${assigned} user(s)`, StatusCodes.BAD_REQUEST)
+    );
+  }
+  if (members > 0) {
+    return next(
+      new AppError(`Role is still held by ${members} organization member(s)`, StatusCodes.BAD_REQUEST)
+    );
+  }
+
+  await role.deleteOne();
+  await AuditLog.record(req, {
+    action: 'role.delete',
+    targetType: 'Role',
+    targetId: role.name,
+    before: { description: role.description, permissions: role.permissions },
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    message: 'Role deleted successfully',
+  });
+});
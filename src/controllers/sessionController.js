@@ -0,0 +1,63 @@
+import Session from '../models/Session.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AppError } from '../utils/AppError.js';
+import { StatusCodes } from 'http-status-codes';
+
+/**
+ * Session Controller
+ *
+ * Best Practices:
+ * 1. Ownership checks - Users only see and revoke their own sessions
+ * 2. Current session marker - Lets clients label "this device"
+ * 3. Revocation by id - Ends the session and its refresh token family
+ */
+
+/**
+ * Shape a session for API responses
+ */
+export const formatSession = (session, currentSessionId) => ({
+  id: session.id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  lastSeenIp: session.lastSeenIp,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  current: session.id === currentSessionId,
+});
+
+/**
+ * @desc    List active sessions of the current user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+export const getMySessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.findActiveForUser(req.user.id);
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      sessions: sessions.map((session) => formatSession(session, req.auth.sid)),
+    },
+  });
+});
+
+/**
+ * @desc    Revoke one of the current user's sessions
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+export const revokeMySession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findActive(req.params.id);
+
+  if (!session || !session.user.equals(req.user._id)) {
+    return next(new AppError('Session not found', StatusCodes.NOT_FOUND));
+  }
+
+  await Session.revoke(session.id);
+
+  res.status(StatusCodes.OK).json({
+    status: 'success',
+    message: 'Session revoked',
+  });
+});
@@ -0,0 +1,70 @@
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Account Purge Job
+ *
+ * Anonymizes accounts whose deletion grace period has ended.
+ *
+ * Best Practices:
+ * 1. Atomic claim - Cancelled or already purged accounts are skipped, even across instances
+ * 2. Batched - A bounded number of accounts per run
+ * 3. Isolated failures - One failing account does not stop the others
+ * 4. Non-blocking - The timer is unref'd so it never keeps the process alive
+ */
+
+const BATCH_SIZE = 100;
+
+/**
+ * Anonymize every account that is due
+ * @returns {Promise<number>} Number of accounts purged
+ */
+export const purgeDueAccounts = async () => {
+  const users = await User.findDueForPurge(BATCH_SIZE);
+  let purged = 0;
+
+  for (const user of users) {
+    try {
+      // Setting deletedAt first stops a late cancellation; a failed run is retried next time
+      const claimed = await User.updateOne(
+        { _id: user._id, deletionScheduledFor: { $ne: null, $lte: new Date() } },
+        { deletedAt: user.deletedAt || new Date() }
+      );
+      if (claimed.matchedCount === 0) {
+        continue; // Cancelled, or purged by another run
+      }
+
+      await user.anonymize();
+      await AuditLog.record(null, {
+        action: 'user.purge',
+        actor: null,
+        targetType: 'User',
+        targetId: user._id,
+      });
+      purged += 1;
+    } catch (error) {
+      logger.error(`Failed to purge account ${user._id}: ${error.message}`);
+    }
+  }
+
+  if (purged > 0) {
+    logger.info(`Purged ${purged} deleted account(s)`);
+  }
+  return purged;
+};
+
+/**
+ * Run the purge now and then on an interval
+ * @returns {NodeJS.Timeout}
+ */
+export const startAccountPurgeJob = () => {
+  const run = () =>
+    purgeDueAccounts().catch((error) => logger.error(`Account purge failed: ${error.message}`));
+
+  run();
+  const timer = setInterval(run, config.accountDeletion.purgeIntervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
@@ -1,8 +1,13 @@
-import jwt from 'jsonwebtoken';
 import config from '../config/config.js';
 import User from '../models/User.js';
+import RevokedToken from '../models/RevokedToken.js';
+import Session from '../models/Session.js';
+import ApiKey from '../models/ApiKey.js';
+import Role from '../models/Role.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { AppError } from '../utils/AppError.js';
+import { verifyToken } from '../utils/jwt.js';
+import { checkCsrf } from './csrf.js';
 
 /**
  * Authentication Middleware
@@ -13,33 +18,145 @@ import { AppError } from '../utils/AppError.js';
  * 3. Role-based access - Check user roles
  * 4. Error handling - Proper error responses
  * 5. Async handling - Use asyncHandler wrapper
+ * 6. API keys - Scoped machine credentials accepted alongside JWTs
+ * 7. CSRF - Unsafe requests authenticated by cookie need a CSRF token
+ * 8. Step-up - Sensitive routes require a recent login or re-authentication
  */
 
 /**
- * Protect routes - Verify JWT token
+ * Extract the access token from the Authorization header or cookie
+ * @returns {{ token: string|null, fromCookie: boolean }}
  */
-export const protect = asyncHandler(async (req, res, next) => {
-  let token;
-
+const extractToken = (req) => {
   // Check for token in headers
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
+    return { token: req.headers.authorization.split(' ')[1], fromCookie: false };
   }
   // Check for token in cookies
-  else if (req.cookies && req.cookies.token) {
-    token = req.cookies.token;
+  if (req.cookies && req.cookies.token) {
+    return { token: req.cookies.token, fromCookie: true };
+  }
+  return { token: null, fromCookie: false };
+};
+
+/**
+ * Extract an API key from the X-API-Key or `Authorization: ApiKey` header
+ */
+const extractApiKey = (req) => {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+  if (req.headers.authorization && req.headers.authorization.startsWith('ApiKey ')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return null;
+};
+
+/**
+ * Check whether API keys may be used on the current route
+ * Account and admin routes always require an interactive login
+ */
+const isApiKeyRoute = (req) => {
+  const path = `${req.baseUrl}${req.path}`;
+  return config.apiKeys.allowedRoutePrefixes.some((prefix) => path.startsWith(prefix));
+};
+
+/**
+ * Verify an access token and load its user
+ * Rejects tokens that were revoked individually (logout), in bulk through
+ * the user's token version (logout-all) or whose session was revoked.
+ * @returns {Promise<{ user: object|null, decoded: object, session: object|null }>}
+ */
+const authenticateToken = async (token) => {
+  const decoded = verifyToken(token);
+
+  // Purpose-bound tokens (email verification, etc.) are not access tokens
+  if (decoded.purpose) {
+    throw new AppError('Not authorized to access this route', 401);
+  }
+
+  if (decoded.jti && (await RevokedToken.isRevoked(decoded.jti))) {
+    throw new AppError('Token has been revoked', 401);
+  }
+
+  // Get user from database (exclude password)
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (user && (decoded.tv || 0) !== user.tokenVersion) {
+    throw new AppError('Token has been revoked', 401);
+  }
+
+  // The device session behind the token must still be active
+  let session = null;
+  if (user && decoded.sid) {
+    session = await Session.findActive(decoded.sid);
+    if (!session) {
+      throw new AppError('Session has been revoked', 401);
+    }
   }
 
-  if (!token) {
+  return { user, decoded, session };
+};
+
+/**
+ * Check whether an unverified account may use the current route
+ * Controlled by config.auth.requireEmailVerification
+ */
+const isAllowedWhileUnverified = (req) => {
+  const mode = config.auth.requireEmailVerification;
+
+  if (mode === 'block') {
+    return false;
+  }
+  if (mode === 'restrict') {
+    return config.auth.unverifiedAllowedRoutes.includes(`${req.baseUrl}${req.path}`);
+  }
+  return true;
+};
+
+/**
+ * Protect routes - Verify JWT token or API key
+ */
+export const protect = asyncHandler(async (req, res, next) => {
+  const key = extractApiKey(req);
+  const { token, fromCookie } = key ? {} : extractToken(req);
+
+  if (!key && !token) {
     return next(new AppError('Not authorized to access this route', 401));
   }
 
   try {
-    // Verify token
-    const decoded = jwt.verify(token, config.jwt.secret);
+    if (key) {
+      if (!isApiKeyRoute(req)) {
+        return next(new AppError('API keys cannot be used on this route', 403));
+      }
+
+      const apiKey = await ApiKey.findActiveByKey(key);
+      if (!apiKey) {
+        return next(new AppError('Invalid or expired API key', 401));
+      }
+
+      req.apiKey = apiKey;
+      req.user = await User.findById(apiKey.user).select('-password');
 
-    // Get user from database (exclude password)
-    req.user = await User.findById(decoded.id).select('-password');
+      // Deleting an account signs out everywhere; keys resume if it is cancelled
+      if (req.user && req.user.deletionScheduledFor) {
+        return next(new AppError('API keys are suspended while account deletion is pending', 401));
+      }
+      await apiKey.touch(req.ip);
+    } else {
+      const { user, decoded, session } = await authenticateToken(token);
+
+      // Browsers attach cookies to cross-site requests; headers they do not
+      const csrfError = fromCookie && checkCsrf(req, decoded.sid);
+      if (csrfError) {
+        return next(csrfError);
+      }
+
+      req.user = user;
+      req.auth = decoded;
+      req.authSession = session;
+    }
 
     if (!req.user) {
       return next(new AppError('User no longer exists', 401));
@@ -49,12 +166,34 @@ export const protect = asyncHandler(async (req, res, next) => {
       return next(new AppError('User account is inactive', 401));
     }
 
+    if (!req.user.emailVerified && !isAllowedWhileUnverified(req)) {
+      return next(new AppError('Please verify your email address to access this route', 403));
+    }
+
+    if (req.authSession) {
+      await req.authSession.touch(req.ip);
+    }
+
     next();
   } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
     return next(new AppError('Not authorized to access this route', 401));
   }
 });
 
+/**
+ * Roles listed in config.mfa.requiredForRoles must have 2FA enabled
+ * @returns {AppError|null}
+ */
+const checkMfaRequirement = (user) => {
+  if (config.mfa.requiredForRoles.includes(user.role) && !user.mfa.enabled) {
+    return new AppError(`Two-factor authentication is required for role '${user.role}'`, 403);
+  }
+  return null;
+};
+
 /**
  * Role-based authorization
  * Restrict access to specific roles
@@ -69,27 +208,129 @@ export const authorize = (...roles) => {
         )
       );
     }
+
+    const mfaError = checkMfaRequirement(req.user);
+    if (mfaError) {
+      return next(mfaError);
+    }
+
+    next();
+  };
+};
+
+/**
+ * Permission-based authorization
+ * Pass `owner` to also accept the `<permission>:own` variant when the user
+ * owns the target document. `owner(req)` resolves to the owner's user id.
+ *
+ * @example
+ * requirePermission('product:update', { owner: (req) => findProductOwner(req.params.id) })
+ */
+export const requirePermission = (permission, { owner } = {}) => {
+  return asyncHandler(async (req, res, next) => {
+    const mfaError = checkMfaRequirement(req.user);
+    if (mfaError) {
+      return next(mfaError);
+    }
+
+    // Inside an organization, the membership role applies instead of the global one
+    const role = req.membership ? req.membership.role : req.user.role;
+    const permissions = await Role.getPermissions(role);
+
+    if (Role.grants(permissions, permission)) {
+      return next();
+    }
+
+    if (owner && Role.grants(permissions, `${permission}:own`)) {
+      const ownerId = await owner(req);
+      if (ownerId && String(ownerId) === String(req.user._id)) {
+        return next();
+      }
+    }
+
+    return next(new AppError(`Missing permission '${permission}'`, 403));
+  });
+};
+
+/**
+ * Require a recent login or re-authentication
+ * Chain after protect (and authorize/requirePermission). Reads the `auth_time`
+ * claim; tokens without one are treated as stale. API keys are not interactive
+ * and are limited by their scopes instead.
+ * @param {number} [maxAge] - Maximum age of the authentication in seconds
+ *
+ * @example
+ * router.delete('/:id', protect, requireRecentAuth(5 * 60), deleteThing)
+ */
+export const requireRecentAuth = (maxAge = config.auth.reauthMaxAgeMinutes * 60) => {
+  return (req, res, next) => {
+    if (req.apiKey || isRecentlyAuthenticated(req, maxAge)) {
+      return next();
+    }
+
+    return next(reauthRequired(maxAge));
+  };
+};
+
+/**
+ * Whether the request's token was issued by a login within maxAge seconds
+ */
+export const isRecentlyAuthenticated = (req, maxAge = config.auth.reauthMaxAgeMinutes * 60) => {
+  const authTime = req.auth && req.auth.auth_time;
+  return Boolean(authTime && Date.now() / 1000 - authTime <= maxAge);
+};
+
+/**
+ * The error clients answer by re-authenticating, then retrying the request
+ */
+export const reauthRequired = (maxAge = config.auth.reauthMaxAgeMinutes * 60) =>
+  new AppError('Please confirm your identity to continue', 403, {
+    code: 'REAUTH_REQUIRED',
+    maxAge,
+    reauthUrl: '/api/auth/reauth',
+  });
+
+/**
+ * Scope-based authorization for API keys
+ * Requests authenticated with a JWT are not scope-limited and pass through.
+ */
+export const requireScope = (...scopes) => {
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return next();
+    }
+
+    const missing = scopes.filter((scope) => !req.apiKey.hasScope(scope));
+    if (missing.length > 0) {
+      return next(
+        new AppError(`API key is missing required scope: ${missing.join(', ')}`, 403)
+      );
+    }
     next();
   };
 };
 
 /**
  * Optional authentication
- * Attach user if token exists, but don't require it
+ * Attach user if token exists, but don't require it. A presented API key is
+ * checked like in protect, so follow with requireScope for the key's scope.
  */
 export const optionalAuth = asyncHandler(async (req, res, next) => {
-  let token;
-
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
-  } else if (req.cookies && req.cookies.token) {
-    token = req.cookies.token;
+  if (extractApiKey(req)) {
+    return protect(req, res, next);
   }
 
+  const { token, fromCookie } = extractToken(req);
+
   if (token) {
     try {
-      const decoded = jwt.verify(token, config.jwt.secret);
-      req.user = await User.findById(decoded.id).select('-password');
+      const { user, decoded, session } = await authenticateToken(token);
+      // Without a valid CSRF token a cookie does not identify the caller
+      if (user && user.isActive && !(fromCookie && checkCsrf(req, decoded.sid))) {
+        req.user = user;
+        req.auth = decoded;
+        req.authSession = session;
+      }
     } catch (error) {
       // Ignore errors for optional auth
     }
@@ -97,4 +338,3 @@ export const optionalAuth = asyncHandler(async (req, res, next) => {
 
   next();
 });
-
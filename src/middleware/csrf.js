@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../utils/AppError.js';
+import { generateRandomToken, safeEqual } from '../utils/tokens.js';
+
+/**
+ * CSRF Protection
+ *
+ * Signed double-submit tokens for cookie-authenticated requests. A token is
+ * a random nonce plus an HMAC of the nonce and the session id, so a token
+ * planted from a sibling subdomain or issued to another session is useless.
+ *
+ * Best Practices:
+ * 1. Only where cookies authenticate - Bearer and API key clients are exempt
+ * 2. Unsafe methods only - GET, HEAD and OPTIONS must not change state
+ * 3. Session binding - Tokens verify against the session of the auth cookie
+ * 4. Readable cookie - Browser clients copy the csrfToken cookie into a header
+ */
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const resolveSecret = () => {
+  if (config.csrf.secret) {
+    return config.csrf.secret;
+  }
+  logger.warn('CSRF_SECRET is not set, using an ephemeral secret. CSRF tokens will not survive a restart.');
+  return generateRandomToken(32);
+};
+
+const secret = resolveSecret();
+
+const sign = (sessionId, nonce) => {
+  return crypto.createHmac('sha256', secret).update(`${sessionId}.${nonce}`).digest('hex');
+};
+
+/**
+ * Create a CSRF token bound to a session
+ * @param {string} sessionId - Session id (the `sid` claim)
+ */
+export const generateCsrfToken = (sessionId) => {
+  const nonce = generateRandomToken(16);
+  return `${nonce}.${sign(sessionId, nonce)}`;
+};
+
+/**
+ * Check a CSRF token against a session
+ */
+export const verifyCsrfToken = (token, sessionId) => {
+  const [nonce, signature] = String(token || '').split('.');
+  if (!nonce || !signature || !sessionId) {
+    return false;
+  }
+  return safeEqual(signature, sign(sessionId, nonce));
+};
+
+/**
+ * Set the readable CSRF cookie for a session
+ * @param {Date} expires - Usually the refresh token's expiry
+ */
+export const setCsrfCookie = (res, sessionId, expires) => {
+  const token = generateCsrfToken(sessionId);
+  res.cookie(config.csrf.cookieName, token, {
+    httpOnly: false, // Read by the client and echoed in the header
+    secure: config.isProduction,
+    sameSite: 'strict',
+    expires,
+  });
+  return token;
+};
+
+/**
+ * Clear the CSRF cookie
+ */
+export const clearCsrfCookie = (res) => {
+  res.clearCookie(config.csrf.cookieName);
+};
+
+/**
+ * Verify the CSRF header of a cookie-authenticated request
+ * Safe methods always pass.
+ * @param {string} sessionId - Session the auth cookie belongs to
+ * @returns {AppError|null}
+ */
+export const checkCsrf = (req, sessionId) => {
+  if (SAFE_METHODS.includes(req.method)) {
+    return null;
+  }
+  if (verifyCsrfToken(req.get(config.csrf.header), sessionId)) {
+    return null;
+  }
+  return new AppError('Invalid or missing CSRF token', 403, { code: 'CSRF_INVALID' });
+};
@@ -17,7 +17,9 @@ import logger from '../utils/logger.js';
  * Handle MongoDB duplicate key errors
  */
 const handleDuplicateKeyError = (err) => {
-  const field = Object.keys(err.keyValue)[0];
+  // Tenant-scoped unique indexes lead with the organization; report the field the client sent
+  const fields = Object.keys(err.keyValue);
+  const field = fields.find((key) => key !== 'organization') || fields[0];
   const message = `${field} already exists`;
   return new AppError(message, 400);
 };
@@ -0,0 +1,20 @@
+import crypto from 'crypto';
+
+/**
+ * Request ID Middleware
+ *
+ * Best Practices:
+ * 1. Correlation - One id per request, shared by the response and audit entries
+ * 2. Propagation - A well-formed X-Request-Id from a proxy is kept
+ * 3. Echo - The id is returned so clients can quote it in support requests
+ */
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+export const requestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+  next();
+};
@@ -34,10 +34,14 @@ const apiLimiter = rateLimit({
 
 /**
  * Stricter rate limiting for auth routes
+ * Keyed on IP + email so users behind a shared IP (offices, NAT) do not
+ * block each other. Changing the email on every attempt would get around
+ * that, so each IP also has a (looser) limit of its own.
  */
-export const authLimiter = rateLimit({
+const authAccountLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // 5 requests per window
+  max: 5, // 5 failed attempts per IP and account per window
+  keyGenerator: (req) => `${req.ip}|${String(req.body.email || '').toLowerCase()}`,
   message: {
     status: 'error',
     message: 'Too many login attempts, please try again later.',
@@ -45,6 +49,72 @@ export const authLimiter = rateLimit({
   skipSuccessfulRequests: true,
 });
 
+const authIpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // 20 failed attempts per IP per window, across accounts
+  message: {
+    status: 'error',
+    message: 'Too many login attempts from this IP, please try again later.',
+  },
+  skipSuccessfulRequests: true,
+});
+
+export const authLimiter = [authIpLimiter, authAccountLimiter];
+
+/**
+ * Rate limiting for verification email resends
+ * Keyed on the target address so one inbox cannot be flooded from many IPs
+ */
+export const verificationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 3, // 3 emails per address per window
+  keyGenerator: (req) => String(req.body.email || req.ip).toLowerCase(),
+  message: {
+    status: 'error',
+    message: 'Too many verification emails requested, please try again later.',
+  },
+});
+
+/**
+ * Rate limiting for password reset emails
+ * Keyed on the target address, like verificationLimiter
+ */
+export const forgotPasswordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 3, // 3 emails per address per window
+  keyGenerator: (req) => String(req.body.email || req.ip).toLowerCase(),
+  message: {
+    status: 'error',
+    message: 'Too many password reset emails requested, please try again later.',
+  },
+});
+
+/**
+ * Rate limiting for setting a new password with a reset token
+ */
+export const resetPasswordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 attempts per IP per window
+  message: {
+    status: 'error',
+    message: 'Too many password reset attempts, please try again later.',
+  },
+});
+
+/**
+ * Rate limiting for magic login link emails
+ * Keyed on the target address, like verificationLimiter
+ */
+export const magicLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 3, // 3 links per address per window
+  keyGenerator: (req) => String(req.body.email || req.ip).toLowerCase(),
+  message: {
+    status: 'error',
+    message: 'Too many login links requested, please try again later.',
+  },
+});
+
 /**
  * Security headers with Helmet
  */
@@ -0,0 +1,58 @@
+import config from '../config/config.js';
+import Organization from '../models/Organization.js';
+import Membership from '../models/Membership.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { AppError } from '../utils/AppError.js';
+import { runWithTenant } from '../utils/tenancy.js';
+
+/**
+ * Tenant Middleware
+ *
+ * Best Practices:
+ * 1. Explicit selection - X-Organization-Id header, then the token's `org` claim
+ * 2. Optional default - Clients that select nothing use the default organization
+ * 3. Membership checked per request - The `org` claim is a preference, not a grant
+ * 4. Scoped execution - Everything after this middleware runs in the tenant context
+ */
+
+/**
+ * Resolve the active organization and run the rest of the request inside it
+ * Sets req.organization, and req.membership when a user is authenticated.
+ */
+export const resolveTenant = asyncHandler(async (req, res, next) => {
+  const requestedId = req.get(config.tenancy.header) || (req.auth && req.auth.org);
+
+  let organization = null;
+  if (requestedId) {
+    organization = await Organization.findActive(requestedId);
+  } else if (config.tenancy.defaultOrganization) {
+    organization = await Organization.findOne({
+      slug: config.tenancy.defaultOrganization,
+      isActive: true,
+    });
+  } else {
+    return next(new AppError(`Please select an organization with the ${config.tenancy.header} header`, 400));
+  }
+
+  if (!organization) {
+    return next(new AppError('Organization not found', 404));
+  }
+
+  req.organization = organization;
+  if (req.user) {
+    req.membership = await Membership.findMembership(req.user._id, organization._id);
+  }
+
+  runWithTenant(organization._id, next);
+});
+
+/**
+ * Only members of the active organization may continue
+ * Use after protect and resolveTenant.
+ */
+export const requireMembership = (req, res, next) => {
+  if (!req.membership) {
+    return next(new AppError('You are not a member of this organization', 403));
+  }
+  next();
+};
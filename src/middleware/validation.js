@@ -1,5 +1,6 @@
 import { validationResult, body } from 'express-validator';
 import { AppError } from '../utils/AppError.js';
+import { getPasswordRules } from '../utils/passwordPolicy.js';
 
 /**
  * Validation Middleware
@@ -11,6 +12,17 @@ import { AppError } from '../utils/AppError.js';
  * 4. Custom validators - Complex validation logic
  */
 
+/**
+ * Build the error `validate` responds with
+ * Also used by controllers for checks that need data loaded in the handler
+ * @param {Array<{ field: string, message: string, value?: any }>} errors
+ */
+export const validationError = (errors) => {
+  return new AppError('Validation failed', 400, {
+    errors,
+  });
+};
+
 /**
  * Check validation results
  * Returns formatted errors if validation fails
@@ -25,11 +37,7 @@ export const validate = (req, res, next) => {
       value: error.value,
     }));
 
-    return next(
-      new AppError('Validation failed', 400, {
-        errors: errorMessages,
-      })
-    );
+    return next(validationError(errorMessages));
   }
 
   next();
@@ -42,13 +50,22 @@ export const commonValidators = {
   email: (field = 'email') => [
     body(field).trim().isEmail().withMessage('Invalid email address'),
   ],
-  password: (field = 'password') => [
-    body(field)
-      .isLength({ min: 6 })
-      .withMessage('Password must be at least 6 characters')
-      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-      .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
-  ],
+  // One error per broken password policy rule. The name/email rule uses the
+  // signed-in user's, or the submitted name and email on registration.
+  password: (field = 'password') => {
+    const chain = body(field).isString().withMessage('Password is required').bail();
+    for (const rule of getPasswordRules()) {
+      chain
+        .custom((value, { req }) =>
+          rule.test(value, {
+            name: req.user ? req.user.name : req.body.name,
+            email: req.user ? req.user.email : req.body.email,
+          })
+        )
+        .withMessage(rule.message);
+    }
+    return [chain];
+  },
   mongoId: (field = 'id') => [
     body(field).isMongoId().withMessage('Invalid ID format'),
   ],
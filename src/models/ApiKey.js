@@ -0,0 +1,140 @@
+import mongoose from 'mongoose';
+import config from '../config/config.js';
+import { generateRandomToken, hashToken } from '../utils/tokens.js';
+
+/**
+ * API Key Model
+ *
+ * Keys look like `eak_<publicId>_<secret>`. The public id identifies the key
+ * in listings; the full key is only returned once, at creation.
+ *
+ * Best Practices:
+ * 1. Hashed storage - Only the SHA-256 hash of the full key is persisted
+ * 2. Least privilege - Each key carries an explicit list of scopes
+ * 3. Expiry and revocation - Keys can expire and be revoked individually
+ * 4. Usage tracking - lastUsedAt/lastUsedIp, written at most once a minute
+ */
+
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide a key name'],
+      trim: true,
+      maxlength: [100, 'Key name cannot exceed 100 characters'],
+    },
+    publicId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [String],
+      enum: config.apiKeys.scopes,
+      validate: {
+        validator: (v) => v.length > 0,
+        message: 'At least one scope is required',
+      },
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+/**
+ * Virtual Fields
+ */
+apiKeySchema.virtual('prefix').get(function () {
+  return `${config.apiKeys.prefix}_${this.publicId}`;
+});
+
+apiKeySchema.virtual('isActive').get(function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+});
+
+/**
+ * Instance Methods
+ */
+
+// Check whether the key grants a scope
+apiKeySchema.methods.hasScope = function (scope) {
+  return this.scopes.includes(scope);
+};
+
+// Record usage, at most once per throttle window
+apiKeySchema.methods.touch = function (ip) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < LAST_USED_THROTTLE_MS) {
+    return Promise.resolve();
+  }
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ip;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { lastUsedAt: this.lastUsedAt, lastUsedIp: ip }
+  );
+};
+
+/**
+ * Static Methods
+ */
+
+// Create a key. Returns the document and the plain key (shown once).
+apiKeySchema.statics.generate = async function ({ userId, name, scopes, expiresAt }) {
+  const publicId = generateRandomToken(6);
+  const key = `${config.apiKeys.prefix}_${publicId}_${generateRandomToken(24)}`;
+
+  const apiKey = await this.create({
+    user: userId,
+    name,
+    publicId,
+    keyHash: hashToken(key),
+    scopes,
+    expiresAt,
+  });
+
+  return { apiKey, key };
+};
+
+// Find the active key matching a presented key string
+apiKeySchema.statics.findActiveByKey = function (key) {
+  return this.findOne({
+    keyHash: hashToken(key),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
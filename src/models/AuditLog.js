@@ -0,0 +1,171 @@
+import mongoose from 'mongoose';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Audit Log Model
+ *
+ * Who did what to which document, from where. Actions are dot-separated,
+ * e.g. `auth.login.success` or `product.update`.
+ *
+ * Best Practices:
+ * 1. Append-only - Updates and deletes through the model are refused
+ * 2. Request context - IP, user agent and request id from the request
+ * 3. Minimal diffs - Only the fields that changed are stored
+ * 4. Retention - expiresAt TTL, set per entry from config.audit.retentionDays
+ * 5. Never blocks the action - A failed write is logged, not thrown
+ */
+
+// Fields that change on every save and say nothing about the change
+const IGNORED_DIFF_FIELDS = ['updatedAt', '__v'];
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null, // Anonymous, e.g. a failed login for an unknown email
+  },
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+  },
+  action: {
+    type: String,
+    required: true,
+  },
+  targetType: {
+    type: String,
+  },
+  targetId: {
+    type: String,
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+    maxlength: 512,
+  },
+  requestId: {
+    type: String,
+  },
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+  expiresAt: {
+    type: Date,
+    default: null, // Kept forever when retention is disabled
+  },
+});
+
+/**
+ * Indexes
+ */
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Append-only guards
+ * Entries are only removed by the TTL index.
+ */
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified'));
+  }
+  next();
+});
+
+auditLogSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+  ],
+  { document: true, query: true },
+  function (next) {
+    next(new Error('Audit log entries cannot be modified'));
+  }
+);
+
+/**
+ * Helpers
+ */
+
+// Reduce two plain objects to the top-level fields that differ
+const diff = (before = {}, after = {}) => {
+  const changes = { before: {}, after: {} };
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const field of fields) {
+    if (IGNORED_DIFF_FIELDS.includes(field)) {
+      continue;
+    }
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.before[field] = before[field];
+      changes.after[field] = after[field];
+    }
+  }
+  return changes;
+};
+
+/**
+ * Static Methods
+ */
+
+/**
+ * Record an event with the context of the request that caused it
+ * @param {import('express').Request|null} req - null for background jobs
+ * @param {object} entry
+ * @param {string} entry.action
+ * @param {string} [entry.targetType] - Model name, e.g. 'Product'
+ * @param {*} [entry.targetId]
+ * @param {object} [entry.before] - Plain object state before the change
+ * @param {object} [entry.after] - Plain object state after the change
+ * @param {*} [entry.actor] - Defaults to the authenticated user
+ * @param {object} [entry.metadata]
+ */
+auditLogSchema.statics.record = async function (
+  req,
+  { action, targetType, targetId, before, after, actor, metadata }
+) {
+  const { retentionDays } = config.audit;
+
+  try {
+    await this.create({
+      actor: actor !== undefined ? actor : req && req.user && req.user._id,
+      apiKey: req && req.apiKey && req.apiKey._id,
+      action,
+      targetType,
+      targetId: targetId !== undefined ? String(targetId) : undefined,
+      ip: req ? req.ip : undefined,
+      userAgent: req ? (req.get('user-agent') || '').slice(0, 512) : undefined,
+      requestId: req ? req.id : undefined,
+      changes: before || after ? diff(before, after) : undefined,
+      metadata,
+      expiresAt: retentionDays > 0 ? new Date(Date.now() + retentionDays * 24 * 60 * 60 * 1000) : null,
+    });
+  } catch (error) {
+    logger.error(`Failed to write audit log entry '${action}': ${error.message}`);
+  }
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+/**
+ * Membership Model
+ *
+ * Links a user to an organization with a role inside that organization.
+ * The role is the name of a Role document, so organization roles use the
+ * same permission catalog as global roles.
+ *
+ * Best Practices:
+ * 1. One membership per user and organization - Unique compound index
+ * 2. Roles per organization - An editor in one store can be a plain user in another
+ * 3. Lookup in both directions - Members of an organization, organizations of a user
+ */
+
+const membershipSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+    role: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      default: 'user', // Name of a Role document
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Indexes
+ */
+membershipSchema.index({ organization: 1, user: 1 }, { unique: true });
+
+/**
+ * Static Methods
+ */
+
+// Find the membership of a user in an organization
+membershipSchema.statics.findMembership = function (userId, organizationId) {
+  if (!mongoose.isValidObjectId(organizationId)) {
+    return null;
+  }
+  return this.findOne({ user: userId, organization: organizationId });
+};
+
+// Count the members holding a role, used to protect the last organization admin
+membershipSchema.statics.countWithRole = function (organizationId, role) {
+  return this.countDocuments({ organization: organizationId, role });
+};
+
+// Organizations in which the user is the only admin
+membershipSchema.statics.findSoleAdminOrganizations = async function (userId) {
+  const adminships = await this.find({ user: userId, role: 'admin' });
+  const admins = await Promise.all(
+    adminships.map(({ organization }) => this.countWithRole(organization, 'admin'))
+  );
+  return adminships.filter((adminship, i) => admins[i] <= 1).map(({ organization }) => organization);
+};
+
+const Membership = mongoose.model('Membership', membershipSchema);
+
+export default Membership;
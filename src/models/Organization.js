@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Organization Model
+ *
+ * A tenant: one storefront with its own product catalog and members.
+ *
+ * Best Practices:
+ * 1. Stable slug - URL-safe identifier independent of the display name
+ * 2. Deactivation - Inactive organizations stop resolving as tenants
+ * 3. Default organization - Optional tenant for clients that send none
+ */
+
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Organization name is required'],
+      trim: true,
+      maxlength: [100, 'Organization name cannot exceed 100 characters'],
+    },
+    slug: {
+      type: String,
+      required: [true, 'Organization slug is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and hyphens'],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Static Methods
+ */
+
+// Find an active organization by id
+organizationSchema.statics.findActive = function (organizationId) {
+  if (!mongoose.isValidObjectId(organizationId)) {
+    return null;
+  }
+  return this.findOne({ _id: organizationId, isActive: true });
+};
+
+// Create the configured default organization and move products that predate
+// multi-tenancy into it
+organizationSchema.statics.seedDefault = async function () {
+  const slug = config.tenancy.defaultOrganization;
+  if (!slug) {
+    return null;
+  }
+
+  const organization = await this.findOneAndUpdate(
+    { slug },
+    { $setOnInsert: { name: slug, slug } },
+    { upsert: true, new: true }
+  );
+
+  const { modifiedCount } = await mongoose
+    .model('Product')
+    .updateMany(
+      { organization: { $exists: false } },
+      { $set: { organization: organization._id } },
+      { skipTenant: true, strict: false }
+    );
+  if (modifiedCount > 0) {
+    logger.info(`Moved ${modifiedCount} product(s) into organization '${slug}'`);
+  }
+
+  return organization;
+};
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+export default Organization;
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { escapeRegex } from '../utils/escapeRegex.js';
+import { tenantScopePlugin } from '../utils/tenancy.js';
 
 /**
  * Product Model - Example of Advanced Schema Design
@@ -9,6 +12,7 @@ import mongoose from 'mongoose';
  * 3. Custom validators - Complex validation logic
  * 4. Text search indexes - For search functionality
  * 5. References - Relationships between collections
+ * 6. Tenant scoping - Every query is limited to the active organization
  */
 
 const priceSchema = new mongoose.Schema({
@@ -30,7 +34,11 @@ const productSchema = new mongoose.Schema(
       type: String,
       required: [true, 'Product name is required'],
       trim: true,
-      index: 'text', // Text index for search
+    },
+    // Lowercased name, so case-insensitive prefix lookups can use an index
+    searchName: {
+      type: String,
+      select: false,
     },
     description: {
       type: String,
@@ -57,7 +65,6 @@ const productSchema = new mongoose.Schema(
     sku: {
       type: String,
       required: true,
-      unique: true,
       uppercase: true,
       match: [/^[A-Z0-9-]+$/, 'SKU must contain only uppercase letters, numbers, and hyphens'],
     },
@@ -74,6 +81,7 @@ const productSchema = new mongoose.Schema(
         message: 'Cannot have more than 5 images',
       },
     },
+    // Derived from published reviews by Review.recomputeProductRating
     rating: {
       average: {
         type: Number,
@@ -104,19 +112,48 @@ const productSchema = new mongoose.Schema(
   }
 );
 
+/**
+ * Tenant Scoping
+ * Adds the `organization` path and scopes queries to the active organization
+ */
+productSchema.plugin(tenantScopePlugin);
+
 /**
  * Compound Indexes
  * For efficient queries on multiple fields
  */
-productSchema.index({ category: 1, isActive: 1 });
-productSchema.index({ 'price.amount': 1 });
-productSchema.index({ createdAt: -1 }); // Descending for recent products
+// Earlier versions had globally unique SKUs; migrateIndexes drops that index
+const LEGACY_SKU_INDEX_NAME = 'sku_1';
+
+// Every query carries the organization, so it leads each index
+productSchema.index({ organization: 1, sku: 1 }, { unique: true }); // SKUs are unique per organization
+productSchema.index({ organization: 1, category: 1, isActive: 1 });
+// Sort indexes end in _id, the tie-breaker of cursor pagination
+productSchema.index({ organization: 1, 'price.amount': 1, _id: 1 });
+productSchema.index({ organization: 1, name: 1, _id: 1 });
+productSchema.index({ organization: 1, searchName: 1 }); // Autocomplete prefixes
+productSchema.index({ organization: 1, createdAt: -1, _id: -1 }); // Descending for recent products
 
 /**
  * Text Index for Search
- * Enables full-text search across name and description
+ * A collection can only have one text index, so every searchable field is in
+ * this one. Weights rank name matches above description and tag matches.
  */
-productSchema.index({ name: 'text', description: 'text' });
+const TEXT_INDEX_NAME = 'product_text_search';
+
+productSchema.index(
+  { name: 'text', description: 'text', tags: 'text' },
+  { name: TEXT_INDEX_NAME, weights: { name: 10, description: 4, tags: 2 } }
+);
+
+/**
+ * Middleware
+ */
+productSchema.pre('validate', function () {
+  if (this.isModified('name') || this.searchName === undefined) {
+    this.searchName = this.name ? this.name.toLowerCase() : undefined;
+  }
+});
 
 /**
  * Virtual Fields
@@ -140,13 +177,6 @@ productSchema.methods.updateStock = function (quantity) {
   return this.save();
 };
 
-productSchema.methods.updateRating = function (newRating) {
-  const totalRating = this.rating.average * this.rating.count + newRating;
-  this.rating.count += 1;
-  this.rating.average = totalRating / this.rating.count;
-  return this.save();
-};
-
 /**
  * Static Methods
  */
@@ -154,11 +184,60 @@ productSchema.statics.findByCategory = function (category) {
   return this.find({ category, isActive: true });
 };
 
-productSchema.statics.searchProducts = function (searchTerm) {
+// Full-text search, best matches first. Chain skip/limit for pages.
+productSchema.statics.searchProducts = function (searchTerm, { filter = {} } = {}) {
+  return this.find(
+    { ...filter, $text: { $search: searchTerm }, isActive: true },
+    { score: { $meta: 'textScore' } }
+  ).sort({ score: { $meta: 'textScore' }, _id: 1 });
+};
+
+// Active products whose name starts with `prefix`, ignoring case
+// Anchored and case-sensitive on searchName, so the query is an index range scan.
+productSchema.statics.findByNamePrefix = function (prefix) {
   return this.find({
-    $text: { $search: searchTerm },
     isActive: true,
-  });
+    searchName: { $regex: `^${escapeRegex(String(prefix).toLowerCase())}` },
+  }).sort({ searchName: 1 });
+};
+
+/**
+ * Bring indexes and search fields of earlier versions up to date
+ * Earlier text indexes block product_text_search, as a collection can only
+ * have one text index: drop them and build the current one. The global SKU
+ * index from before organizations would keep SKUs unique across tenants (and
+ * its duplicate key errors would reveal other tenants' SKUs), so it goes too.
+ * Products saved before searchName existed get it backfilled.
+ */
+productSchema.statics.migrateIndexes = async function () {
+  let indexes = [];
+  try {
+    indexes = await this.collection.indexes();
+  } catch (error) {
+    // NamespaceNotFound: no products yet, autoIndex builds everything
+    if (error.code !== 26) throw error;
+  }
+
+  const legacy = indexes.filter(
+    (index) =>
+      (index.key._fts === 'text' && index.name !== TEXT_INDEX_NAME) || index.name === LEGACY_SKU_INDEX_NAME
+  );
+  for (const index of legacy) {
+    await this.collection.dropIndex(index.name);
+    logger.info(`Dropped legacy product index '${index.name}'`);
+  }
+  if (legacy.length > 0) {
+    await this.createIndexes();
+  }
+
+  const { modifiedCount } = await this.updateMany(
+    { searchName: { $exists: false } },
+    [{ $set: { searchName: { $toLower: '$name' } } }],
+    { skipTenant: true }
+  );
+  if (modifiedCount > 0) {
+    logger.info(`Backfilled the search name of ${modifiedCount} product(s)`);
+  }
 };
 
 productSchema.statics.findLowStock = function (threshold = 10) {
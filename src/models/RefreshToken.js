@@ -0,0 +1,133 @@
+import mongoose from 'mongoose';
+import config from '../config/config.js';
+import { generateRandomToken, hashToken } from '../utils/tokens.js';
+
+/**
+ * Refresh Token Model
+ *
+ * Best Practices:
+ * 1. Opaque tokens - Refresh tokens are random strings, not JWTs
+ * 2. Hashed storage - Only the SHA-256 hash is persisted
+ * 3. Rotation - Every refresh consumes the token and issues a new one
+ * 4. Token families - All tokens descending from one login share a family
+ * 5. Reuse detection - Replaying a consumed token revokes the whole family
+ * 6. TTL index - Expired tokens are removed by MongoDB automatically
+ */
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    createdByIp: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * TTL Index
+ * MongoDB removes documents once expiresAt has passed
+ */
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static Methods
+ */
+
+// Issue a new refresh token. Starts a new family unless one is given.
+refreshTokenSchema.statics.issue = async function (userId, { family, ip } = {}) {
+  const token = generateRandomToken(40);
+
+  const doc = await this.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family: family || generateRandomToken(16),
+    expiresAt: new Date(Date.now() + config.jwt.refreshExpiresDays * 24 * 60 * 60 * 1000),
+    createdByIp: ip,
+  });
+
+  return { token, family: doc.family, expiresAt: doc.expiresAt };
+};
+
+/**
+ * Consume a refresh token and issue its successor in the same family.
+ *
+ * Consumption is a single atomic update so two concurrent refreshes with the
+ * same token cannot both succeed. A token that exists but was already used or
+ * revoked is treated as stolen and its whole family is revoked.
+ *
+ * Resolves to `{ userId, token, family, expiresAt }` on success,
+ * `{ reuseDetected: true, family }` when a consumed token was replayed, or
+ * `null` when the token is unknown or expired.
+ */
+refreshTokenSchema.statics.rotate = async function (token, { ip } = {}) {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  const current = await this.findOneAndUpdate(
+    { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now },
+    { new: true }
+  );
+
+  if (!current) {
+    const existing = await this.findOne({ tokenHash });
+    if (existing && (existing.usedAt || existing.revokedAt)) {
+      await this.revokeFamily(existing.family);
+      return { reuseDetected: true, family: existing.family };
+    }
+    return null;
+  }
+
+  const next = await this.issue(current.user, { family: current.family, ip });
+  return { userId: current.user, ...next };
+};
+
+// Find the family (session id) of a refresh token without consuming it
+refreshTokenSchema.statics.findFamily = async function (token) {
+  const doc = await this.findOne({ tokenHash: hashToken(token) }).select('family').lean();
+  return doc ? doc.family : null;
+};
+
+// Revoke every token in a family
+refreshTokenSchema.statics.revokeFamily = function (family) {
+  return this.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+};
+
+// Revoke every refresh token a user holds
+refreshTokenSchema.statics.revokeAllForUser = function (userId) {
+  return this.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
@@ -0,0 +1,154 @@
+import mongoose from 'mongoose';
+import Product from './Product.js';
+import { tenantScopePlugin } from '../utils/tenancy.js';
+
+/**
+ * Review Model
+ *
+ * A customer's rating and opinion of a product. Product ratings are derived
+ * from the published reviews, never stored independently.
+ *
+ * Best Practices:
+ * 1. One review per user and product - Unique compound index; edit instead of re-rating
+ * 2. Moderation - Hidden reviews stay stored but leave listings and the rating
+ * 3. Derived ratings - Recomputed and written by the server from all published reviews
+ * 4. Tenant scoping - Reviews belong to the organization of their product
+ */
+
+export const REVIEW_STATUSES = ['published', 'hidden'];
+
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    rating: {
+      type: Number,
+      required: [true, 'Rating is required'],
+      min: [1, 'Rating must be between 1 and 5'],
+      max: [5, 'Rating must be between 1 and 5'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Rating must be a whole number',
+      },
+    },
+    title: {
+      type: String,
+      required: [true, 'Review title is required'],
+      trim: true,
+      maxlength: [120, 'Title cannot exceed 120 characters'],
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Review cannot exceed 2000 characters'],
+      default: '',
+    },
+    status: {
+      type: String,
+      enum: REVIEW_STATUSES,
+      default: 'published',
+    },
+    moderation: {
+      moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      moderatedAt: Date,
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters'],
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Tenant Scoping
+ */
+reviewSchema.plugin(tenantScopePlugin);
+
+/**
+ * Indexes
+ */
+reviewSchema.index({ organization: 1, product: 1, author: 1 }, { unique: true });
+reviewSchema.index({ organization: 1, product: 1, status: 1, createdAt: -1 }); // Product listings
+reviewSchema.index({ organization: 1, status: 1, createdAt: -1 }); // Moderation queue
+
+/**
+ * Static Methods
+ */
+
+/**
+ * Recompute a product's rating from its published reviews
+ * Every published review is read again instead of adjusting the stored
+ * numbers, and the server computes and writes the result in one aggregation
+ * ending in $merge. Nothing travels through the application between reading
+ * the reviews and writing the rating, which keeps the window for a concurrent
+ * recompute to be overtaken as small as one command. A product without
+ * reviews goes back to 0/0.
+ */
+reviewSchema.statics.recomputeProductRating = function (productId) {
+  return Product.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(String(productId)) } },
+    {
+      $lookup: {
+        from: this.collection.name,
+        let: { productId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$product', '$$productId'] }, status: 'published' } },
+          { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+        ],
+        as: 'reviews',
+      },
+    },
+    { $unwind: { path: '$reviews', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 1,
+        rating: {
+          average: { $round: [{ $ifNull: ['$reviews.average', 0] }, 2] },
+          count: { $ifNull: ['$reviews.count', 0] },
+        },
+      },
+    },
+    {
+      $merge: {
+        into: Product.collection.name,
+        on: '_id',
+        whenMatched: 'merge',
+        whenNotMatched: 'discard',
+      },
+    },
+  ]);
+};
+
+// Rating distribution of a product's published reviews, e.g. { 5: 12, 4: 3, ... }
+reviewSchema.statics.ratingDistribution = async function (productId) {
+  const rows = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: 'published' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } },
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  for (const { _id: rating, count } of rows) {
+    distribution[rating] = count;
+  }
+  return distribution;
+};
+
+const Review = mongoose.model('Review', reviewSchema);
+
+export default Review;
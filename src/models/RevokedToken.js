@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+/**
+ * Revoked Token Model (JWT denylist)
+ *
+ * Best Practices:
+ * 1. Store only the jti - Never persist the token itself
+ * 2. TTL cleanup - Entries disappear once the token would have expired anyway
+ * 3. Unique index - Fast lookups on every authenticated request
+ */
+
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+/**
+ * TTL Index
+ * Remove the entry when the underlying token expires
+ */
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static Methods
+ */
+
+// Add a decoded access token to the denylist
+revokedTokenSchema.statics.revoke = function ({ jti, id, exp }) {
+  return this.updateOne(
+    { jti },
+    { $setOnInsert: { jti, user: id, expiresAt: new Date(exp * 1000) } },
+    { upsert: true }
+  );
+};
+
+// Check whether a jti has been revoked
+revokedTokenSchema.statics.isRevoked = async function (jti) {
+  return Boolean(await this.exists({ jti }));
+};
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+export default RevokedToken;
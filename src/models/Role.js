@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+import { PERMISSIONS, WILDCARD_PERMISSION, DEFAULT_ROLES } from '../config/permissions.js';
+
+/**
+ * Role Model
+ *
+ * Best Practices:
+ * 1. Data-driven authorization - Roles and their permissions live in the database
+ * 2. Validated permissions - Only names from the permission catalog are accepted
+ * 3. Short-lived cache - Permission lookups do not hit MongoDB on every request
+ * 4. Idempotent seeding - Default roles are created once and never overwritten
+ */
+
+const CACHE_TTL_MS = 60 * 1000;
+const permissionCache = new Map();
+
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a role name'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9_-]+$/, 'Role name may only contain letters, numbers, hyphens and underscores'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters'],
+    },
+    permissions: {
+      type: [String],
+      enum: {
+        values: [...PERMISSIONS, WILDCARD_PERMISSION],
+        message: 'Unknown permission: {VALUE}',
+      },
+      default: [],
+    },
+    isSystem: {
+      type: Boolean,
+      default: false, // System roles cannot be deleted or renamed
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Cache Invalidation Hooks
+ * Drop cached permissions whenever a role changes
+ */
+roleSchema.post('save', () => permissionCache.clear());
+roleSchema.post('findOneAndUpdate', () => permissionCache.clear());
+roleSchema.post('deleteOne', { document: true, query: false }, () => permissionCache.clear());
+
+/**
+ * Static Methods
+ */
+
+// Permissions granted to a role name (cached)
+roleSchema.statics.getPermissions = async function (name) {
+  const cached = permissionCache.get(name);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await this.findOne({ name }).lean();
+  const permissions = role ? role.permissions : [];
+  permissionCache.set(name, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+// Check a permission list, honouring the wildcard
+roleSchema.statics.grants = function (permissions, permission) {
+  return permissions.includes(WILDCARD_PERMISSION) || permissions.includes(permission);
+};
+
+// Check that `granted` includes every permission in `required`
+// Only the wildcard covers the wildcard, so nobody below admin can hand out admin.
+roleSchema.statics.covers = function (granted, required) {
+  return granted.includes(WILDCARD_PERMISSION) || required.every((permission) => granted.includes(permission));
+};
+
+// Create any missing default roles; existing roles keep their edited permissions
+roleSchema.statics.seedDefaults = async function () {
+  await Promise.all(
+    DEFAULT_ROLES.map((role) =>
+      this.updateOne({ name: role.name }, { $setOnInsert: role }, { upsert: true })
+    )
+  );
+  permissionCache.clear();
+};
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
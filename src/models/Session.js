@@ -0,0 +1,162 @@
+import mongoose from 'mongoose';
+import config from '../config/config.js';
+import RefreshToken from './RefreshToken.js';
+
+/**
+ * Session Model
+ *
+ * One document per login on a device. The session id is also the refresh
+ * token family and the `sid` claim of every access token issued for it, so
+ * revoking a session ends both.
+ *
+ * Best Practices:
+ * 1. Device metadata - User agent and IP for recognisable session lists
+ * 2. Throttled activity tracking - lastSeenAt is not written on every request
+ * 3. TTL index - Sessions disappear once their refresh tokens would have expired
+ */
+
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 512,
+    },
+    ip: {
+      type: String,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastSeenIp: {
+      type: String,
+    },
+    // Last time the user proved their identity (login or re-authentication),
+    // sent as the `auth_time` token claim. No default: older sessions count as stale.
+    authenticatedAt: {
+      type: Date,
+    },
+    // Organization selected for this session, sent as the `org` token claim
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+/**
+ * Indexes
+ */
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+/**
+ * Virtual Fields
+ */
+sessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+const refreshWindowEnd = () =>
+  new Date(Date.now() + config.jwt.refreshExpiresDays * 24 * 60 * 60 * 1000);
+
+/**
+ * Instance Methods
+ */
+
+// Record activity, at most once per throttle window
+sessionSchema.methods.touch = function (ip) {
+  if (Date.now() - this.lastSeenAt.getTime() < LAST_SEEN_THROTTLE_MS) {
+    return Promise.resolve();
+  }
+  this.lastSeenAt = new Date();
+  this.lastSeenIp = ip;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { lastSeenAt: this.lastSeenAt, lastSeenIp: ip }
+  );
+};
+
+// Record a successful re-authentication
+sessionSchema.methods.reauthenticate = function () {
+  this.authenticatedAt = new Date();
+  return this.constructor.updateOne({ _id: this._id }, { authenticatedAt: this.authenticatedAt });
+};
+
+// Keep the session alive for as long as its newest refresh token
+sessionSchema.methods.extend = function (ip) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { lastSeenAt: new Date(), lastSeenIp: ip, expiresAt: refreshWindowEnd() }
+  );
+};
+
+/**
+ * Static Methods
+ */
+
+// Start a session for a login request
+sessionSchema.statics.start = function (userId, req) {
+  return this.create({
+    user: userId,
+    userAgent: (req.get('user-agent') || '').slice(0, 512),
+    ip: req.ip,
+    lastSeenIp: req.ip,
+    authenticatedAt: new Date(),
+    expiresAt: refreshWindowEnd(),
+  });
+};
+
+// Find a session that has not been revoked or expired
+sessionSchema.statics.findActive = async function (sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+  return this.findOne({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+// List a user's active sessions, most recently used first
+sessionSchema.statics.findActiveForUser = function (userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort(
+    '-lastSeenAt'
+  );
+};
+
+// Revoke one session and its refresh token family
+sessionSchema.statics.revoke = async function (sessionId) {
+  if (mongoose.isValidObjectId(sessionId)) {
+    await this.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date() });
+  }
+  await RefreshToken.revokeFamily(String(sessionId));
+};
+
+// Revoke every session a user has
+sessionSchema.statics.revokeAllForUser = function (userId) {
+  return this.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -1,7 +1,14 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import config from '../config/config.js';
+import RefreshToken from './RefreshToken.js';
+import Session from './Session.js';
+import ApiKey from './ApiKey.js';
+import Membership from './Membership.js';
+import { generateRandomToken, hashToken } from '../utils/tokens.js';
+import { verifyTotp } from '../utils/totp.js';
+import { signToken, signPurposeToken } from '../utils/jwt.js';
+import { checkPassword } from '../utils/passwordPolicy.js';
 
 /**
  * User Model with Advanced Features
@@ -14,6 +21,7 @@ import config from '../config/config.js';
  * 5. Static methods - Model-level operations
  * 6. Pre/post hooks - Middleware for operations
  * 7. Password hashing - Security best practice
+ * 8. Password policy - Shared rules (utils/passwordPolicy.js) plus a hash history against reuse
  */
 
 const userSchema = new mongoose.Schema(
@@ -38,22 +46,142 @@ const userSchema = new mongoose.Schema(
     },
     password: {
       type: String,
-      required: [true, 'Please provide a password'],
-      minlength: [6, 'Password must be at least 6 characters'],
+      // Accounts created through social login may have no password
+      required: [
+        function () {
+          return this.identities.length === 0;
+        },
+        'Please provide a password',
+      ],
+      validate: {
+        // Backstop for config.passwordPolicy; routes report each rule separately
+        validator: function (value) {
+          return value == null || !this.isModified('password') || checkPassword(value, this).length === 0;
+        },
+        message: 'Password does not meet the password policy',
+      },
       select: false, // Don't return password by default
     },
     role: {
       type: String,
-      enum: ['user', 'admin'],
-      default: 'user',
+      default: 'user', // Name of a Role document
+      lowercase: true,
+      trim: true,
     },
     isActive: {
       type: Boolean,
       default: true,
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true, // New address awaiting verification
+    },
     lastLogin: {
       type: Date,
     },
+    deletedAt: {
+      type: Date,
+      default: null, // Soft delete marker, set together with isActive: false
+    },
+    // Self-service deletion: anonymized by the purge job once the grace period ends
+    deletionRequestedAt: {
+      type: Date,
+    },
+    deletionScheduledFor: {
+      type: Date,
+      default: null,
+    },
+    passwordResetRequired: {
+      type: Boolean,
+      default: false, // Set by an admin; login is refused until the password is reset
+    },
+    identities: [
+      {
+        _id: false,
+        provider: { type: String, required: true },
+        subject: { type: String, required: true },
+        email: { type: String, lowercase: true },
+        linkedAt: { type: Date, default: Date.now },
+      },
+    ],
+    tokenVersion: {
+      type: Number,
+      default: 0, // Incremented to invalidate every outstanding access token
+    },
+    mfa: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false, // Set during enrollment until the first code is confirmed
+      },
+      recoveryCodes: {
+        type: [String],
+        select: false, // SHA-256 hashes of one-time recovery codes
+      },
+      lastUsedStep: {
+        type: Number,
+        select: false, // Last accepted TOTP time step, prevents code replay
+      },
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    lockUntil: {
+      type: Date,
+    },
+    lockoutHistory: {
+      type: [
+        {
+          lockedAt: Date,
+          lockedUntil: Date,
+          ip: String,
+          unlockedAt: Date,
+          unlockedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        },
+      ],
+      select: false,
+    },
+    // Hashes of the most recent passwords, newest last, to prevent reuse
+    passwordHistory: {
+      type: [String],
+      select: false,
+    },
+    passwordChangedAt: {
+      type: Date,
+    },
+    passwordResetToken: {
+      type: String,
+      select: false, // SHA-256 hash, never the raw token
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    // Hash of the jti of the only magic link that may still be used
+    magicLinkToken: {
+      type: String,
+      select: false,
+    },
   },
   {
     timestamps: true, // Automatically adds createdAt and updatedAt
@@ -68,6 +196,10 @@ const userSchema = new mongoose.Schema(
  */
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1, isActive: 1 });
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.provider': { $exists: true } } }
+);
 
 /**
  * Virtual Fields
@@ -83,6 +215,10 @@ userSchema.virtual('fullProfile').get(function () {
   };
 });
 
+userSchema.virtual('isLocked').get(function () {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+});
+
 /**
  * Pre-save Hook
  * Hash password before saving
@@ -93,32 +229,303 @@ userSchema.pre('save', async function (next) {
     return next();
   }
 
+  // Cleared, e.g. when an OIDC login takes over an unverified account
+  if (this.password == null) {
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
+    return next();
+  }
+
   try {
     // Hash password with cost factor of 12
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
+    this.$locals.passwordChanged = true;
     next();
   } catch (error) {
     next(error);
   }
 });
 
+// Remember the new hash. $push keeps this independent of whether
+// passwordHistory was selected when the document was loaded.
+userSchema.post('save', async function () {
+  if (!this.$locals.passwordChanged) {
+    return;
+  }
+  this.$locals.passwordChanged = false;
+
+  const { historySize } = config.passwordPolicy;
+  if (historySize > 0) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $push: { passwordHistory: { $each: [this.password], $slice: -historySize } } }
+    );
+  }
+});
+
 /**
  * Instance Methods
  * Methods available on user instances
  */
 
+// Hash compared against when no account matches, created on first use
+let dummyPasswordHash = null;
+
+// Spend the time of a real password check without an account, so the
+// response time does not reveal whether an email is registered
+userSchema.statics.simulatePasswordCheck = async function (candidatePassword) {
+  if (!dummyPasswordHash) {
+    dummyPasswordHash = await bcrypt.hash(generateRandomToken(16), 12);
+  }
+  await bcrypt.compare(String(candidatePassword), dummyPasswordHash);
+  return false;
+};
+
 // Compare password
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password || !candidatePassword) {
+    return false; // Password-less (social login) account
+  }
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate JWT token
-userSchema.methods.generateToken = function () {
-  return jwt.sign(
-    { id: this._id, role: this.role },
-    config.jwt.secret,
-    { expiresIn: config.jwt.expiresIn }
+// Check a new password against the policy and the password history
+// Returns the messages of every rule it breaks
+userSchema.methods.checkNewPassword = async function (candidatePassword) {
+  const messages = checkPassword(candidatePassword, this);
+  if (messages.length > 0 || config.passwordPolicy.historySize <= 0) {
+    return messages;
+  }
+
+  // The current hash counts too, for accounts created before history was kept
+  const { password, passwordHistory = [] } =
+    (await this.constructor.findById(this._id).select('+password +passwordHistory').lean()) || {};
+  const hashes = passwordHistory.slice(-config.passwordPolicy.historySize);
+  if (password && !hashes.includes(password)) {
+    hashes.push(password);
+  }
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(candidatePassword, hash)) {
+      return [
+        `Password must differ from your last ${config.passwordPolicy.historySize} passwords`,
+      ];
+    }
+  }
+  return [];
+};
+
+// Generate JWT access token
+// sid links the access token to its refresh token family; org is the
+// organization selected for the session, if any; auth_time is when the
+// user last proved their identity, in seconds
+userSchema.methods.generateToken = function ({ sessionId, organizationId, authenticatedAt } = {}) {
+  return signToken(
+    {
+      id: this._id,
+      role: this.role,
+      tv: this.tokenVersion,
+      sid: sessionId,
+      ...(organizationId && { org: String(organizationId) }),
+      ...(authenticatedAt && { auth_time: Math.floor(authenticatedAt.getTime() / 1000) }),
+    },
+    { expiresIn: config.jwt.expiresIn, jwtid: generateRandomToken(16) }
+  );
+};
+
+// Invalidate every access and refresh token issued to this user
+userSchema.methods.revokeAllTokens = async function () {
+  this.tokenVersion += 1;
+  await this.save({ validateBeforeSave: false });
+  await RefreshToken.revokeAllForUser(this._id);
+  await Session.revokeAllForUser(this._id);
+};
+
+// Replace personal data with placeholders and end all access
+// The document itself is kept so references such as Product.createdBy still resolve
+userSchema.methods.anonymize = async function () {
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: {
+        name: 'Deleted user',
+        email: `deleted-${this._id}@deleted.invalid`,
+        role: 'user',
+        isActive: false,
+        emailVerified: false,
+        identities: [],
+        mfa: { enabled: false },
+        deletedAt: new Date(),
+        deletionScheduledFor: null,
+      },
+      $inc: { tokenVersion: 1 },
+      $unset: {
+        password: 1,
+        passwordHistory: 1,
+        pendingEmail: 1,
+        emailVerifiedAt: 1,
+        lastLogin: 1,
+        failedLoginAttempts: 1,
+        lockUntil: 1,
+        lockoutHistory: 1,
+        passwordResetToken: 1,
+        passwordResetExpires: 1,
+        magicLinkToken: 1,
+      },
+    }
+  );
+
+  // Sessions and keys hold IPs and device details, so remove rather than revoke them.
+  // Memberships go too: a deleted user must not stay in (or manage) organizations.
+  await Promise.all([
+    Session.deleteMany({ user: this._id }),
+    RefreshToken.deleteMany({ user: this._id }),
+    ApiKey.deleteMany({ user: this._id }),
+    Membership.deleteMany({ user: this._id }),
+  ]);
+};
+
+// Record a failed login and lock the account once the limit is reached
+// Uses atomic updates so parallel attempts are all counted
+userSchema.methods.registerFailedLogin = async function (ip) {
+  const { maxAttempts, durationMinutes, historySize } = config.auth.lockout;
+
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: { failedLoginAttempts: 1 } }
+  );
+  const attempts = updated ? updated.failedLoginAttempts : 0;
+
+  if (attempts >= maxAttempts) {
+    const lockedAt = new Date();
+    const lockedUntil = new Date(lockedAt.getTime() + durationMinutes * 60 * 1000);
+
+    await this.constructor.updateOne(
+      { _id: this._id },
+      {
+        $set: { failedLoginAttempts: 0, lockUntil: lockedUntil },
+        $push: {
+          lockoutHistory: { $each: [{ lockedAt, lockedUntil, ip }], $slice: -historySize },
+        },
+      }
+    );
+    this.lockUntil = lockedUntil;
+
+    return { attempts, locked: true, lockedUntil };
+  }
+
+  return { attempts, locked: false };
+};
+
+// Clear the failed login counter after a successful password check
+userSchema.methods.resetFailedLogins = function () {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+  );
+};
+
+// Lift a lockout and record who did it
+userSchema.methods.unlock = async function (adminId) {
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: {
+        failedLoginAttempts: 0,
+        'lockoutHistory.$[open].unlockedAt': new Date(),
+        'lockoutHistory.$[open].unlockedBy': adminId,
+      },
+      $unset: { lockUntil: 1 },
+    },
+    { arrayFilters: [{ 'open.unlockedAt': { $exists: false }, 'open.lockedUntil': { $gt: new Date() } }] }
+  );
+  this.lockUntil = undefined;
+};
+
+// Generate a short-lived token proving the password step of an MFA login
+userSchema.methods.generateMfaPendingToken = function () {
+  return signPurposeToken('mfa', { id: this._id }, { expiresIn: config.mfa.pendingTokenExpiresIn });
+};
+
+// Generate one-time recovery codes. Returns the plain codes; stores hashes.
+userSchema.methods.generateRecoveryCodes = function () {
+  const codes = Array.from({ length: config.mfa.recoveryCodeCount }, () => {
+    const raw = generateRandomToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.mfa.recoveryCodes = codes.map((code) => hashToken(code));
+  return codes;
+};
+
+// Verify a TOTP code against the enrolled secret and reject replays
+// Requires mfa.secret and mfa.lastUsedStep to be selected
+userSchema.methods.verifyMfaCode = async function (code) {
+  const step = verifyTotp(this.mfa.secret, code);
+  if (step === null || step <= (this.mfa.lastUsedStep ?? -1)) {
+    return false;
+  }
+
+  // Conditional update so a code cannot be used twice concurrently
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      $or: [{ 'mfa.lastUsedStep': { $lt: step } }, { 'mfa.lastUsedStep': { $exists: false } }],
+    },
+    { 'mfa.lastUsedStep': step }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Consume a recovery code. Each code works once.
+userSchema.methods.consumeRecoveryCode = async function (code) {
+  const codeHash = hashToken(String(code).trim().toLowerCase());
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'mfa.recoveryCodes': codeHash },
+    { $pull: { 'mfa.recoveryCodes': codeHash } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Generate a signed email verification token bound to one address
+// Defaults to the current address; pass pendingEmail when changing email
+userSchema.methods.generateEmailVerificationToken = function (email = this.email) {
+  return signPurposeToken(
+    'verify-email',
+    { id: this._id, email },
+    { expiresIn: config.auth.emailVerificationExpiresIn }
+  );
+};
+
+// Create a single-use password reset token
+// Returns the raw token for the email; only its hash is stored
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = generateRandomToken();
+
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(
+    Date.now() + config.auth.passwordResetExpiresMinutes * 60 * 1000
+  );
+
+  return resetToken;
+};
+
+// Generate a signed, single-use magic login link token
+// Only the newest link works: each call replaces the stored jti hash
+userSchema.methods.generateMagicLinkToken = function () {
+  const jti = generateRandomToken(16);
+  this.magicLinkToken = hashToken(jti);
+
+  return signPurposeToken(
+    'magic-link',
+    { id: this._id },
+    { expiresIn: `${config.auth.magicLinkExpiresMinutes}m`, jwtid: jti }
   );
 };
 
@@ -126,6 +533,15 @@ userSchema.methods.generateToken = function () {
 userSchema.methods.toJSON = function () {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  delete userObject.magicLinkToken;
+  if (userObject.mfa) {
+    delete userObject.mfa.secret;
+    delete userObject.mfa.pendingSecret;
+    delete userObject.mfa.recoveryCodes;
+    delete userObject.mfa.lastUsedStep;
+  }
   return userObject;
 };
 
@@ -139,11 +555,46 @@ userSchema.statics.findByEmail = function (email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+// Consume a verified magic link token. Atomic, so a link works only once.
+userSchema.statics.consumeMagicLinkToken = function ({ id, jti }) {
+  if (!mongoose.isValidObjectId(id) || !jti) {
+    return null;
+  }
+  return this.findOneAndUpdate(
+    { _id: id, magicLinkToken: hashToken(jti) },
+    { $unset: { magicLinkToken: 1 } },
+    { new: true }
+  );
+};
+
+// Find user by an unexpired password reset token
+userSchema.statics.findByResetToken = function (resetToken) {
+  return this.findOne({
+    passwordResetToken: hashToken(resetToken),
+    passwordResetExpires: { $gt: new Date() },
+  });
+};
+
+// Find user by a linked social login identity
+userSchema.statics.findByIdentity = function (provider, subject) {
+  return this.findOne({ identities: { $elemMatch: { provider, subject } } });
+};
+
 // Find active users
 userSchema.statics.findActiveUsers = function () {
   return this.find({ isActive: true });
 };
 
+// Find accounts whose deletion grace period has ended
+userSchema.statics.findDueForPurge = function (limit = 100) {
+  return this.find({ deletionScheduledFor: { $ne: null, $lte: new Date() } }).limit(limit);
+};
+
+// Count active admins, used to protect the last one
+userSchema.statics.countActiveAdmins = function () {
+  return this.countDocuments({ role: 'admin', isActive: true, deletedAt: null });
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
@@ -0,0 +1,181 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import {
+  getUsers,
+  getUser,
+  updateUserRole,
+  updateUserStatus,
+  forcePasswordReset,
+  deleteUser,
+  getUserLockouts,
+  unlockUser,
+  getUserSessions,
+  revokeUserSession,
+} from '../controllers/adminController.js';
+import { getRoles, createRole, updateRole, deleteRole } from '../controllers/roleController.js';
+import { getAuditLogs } from '../controllers/auditController.js';
+import {
+  getReviewsForModeration,
+  moderateReview,
+  removeReview,
+} from '../controllers/reviewController.js';
+import { protect, requirePermission, requireRecentAuth } from '../middleware/auth.js';
+import { resolveTenant, requireMembership } from '../middleware/tenant.js';
+import { validate } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * Admin Routes
+ *
+ * Best Practices:
+ * 1. Router-level guards - Every route requires authentication
+ * 2. Permission checks - Each group of routes requires its own permission
+ * 3. Resource-oriented paths - Actions nested under the user they affect
+ * 4. Step-up - Changing what users may do requires a recent login
+ * 5. Tenant-scoped moderation - Reviews are moderated inside the selected organization
+ */
+
+router.use(protect);
+
+// User administration
+router.get(
+  '/users',
+  requirePermission('user:read'),
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('status')
+      .optional()
+      .isIn(['all', 'active', 'inactive'])
+      .withMessage('Status must be all, active or inactive'),
+    validate,
+  ],
+  getUsers
+);
+router.get('/users/:id', requirePermission('user:read'), getUser);
+router.delete('/users/:id', requirePermission('user:manage'), deleteUser);
+
+router.patch(
+  '/users/:id/role',
+  requirePermission('user:manage'),
+  requireRecentAuth(),
+  [
+    body('role').trim().toLowerCase().notEmpty().withMessage('Role is required'),
+    validate,
+  ],
+  updateUserRole
+);
+
+router.patch(
+  '/users/:id/status',
+  requirePermission('user:manage'),
+  [body('isActive').isBoolean().withMessage('isActive must be a boolean').toBoolean(), validate],
+  updateUserStatus
+);
+
+router.post('/users/:id/force-password-reset', requirePermission('user:manage'), forcePasswordReset);
+router.get('/users/:id/lockouts', requirePermission('user:read'), getUserLockouts);
+router.post('/users/:id/unlock', requirePermission('user:manage'), unlockUser);
+router.get('/users/:id/sessions', requirePermission('user:read'), getUserSessions);
+router.delete(
+  '/users/:id/sessions/:sessionId',
+  requirePermission('user:manage'),
+  revokeUserSession
+);
+
+// Role administration
+router.get('/roles', requirePermission('role:manage'), getRoles);
+
+router.post(
+  '/roles',
+  requirePermission('role:manage'),
+  requireRecentAuth(),
+  [
+    body('name').trim().notEmpty().withMessage('Role name is required'),
+    body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+    validate,
+  ],
+  createRole
+);
+
+router.patch(
+  '/roles/:name',
+  requirePermission('role:manage'),
+  requireRecentAuth(),
+  [
+    body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+    validate,
+  ],
+  updateRole
+);
+
+router.delete('/roles/:name', requirePermission('role:manage'), requireRecentAuth(), deleteRole);
+
+// Review moderation, within the selected organization
+const moderation = [resolveTenant, requireMembership, requirePermission('review:moderate')];
+
+router.get(
+  '/reviews',
+  moderation,
+  [
+    query('status')
+      .optional()
+      .isIn(['published', 'hidden'])
+      .withMessage('Status must be published or hidden'),
+    query('product').optional().isMongoId().withMessage('Invalid product ID'),
+    query('author').optional().isMongoId().withMessage('Invalid author ID'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    validate,
+  ],
+  getReviewsForModeration
+);
+
+router.patch(
+  '/reviews/:id',
+  moderation,
+  [
+    body('status').isIn(['published', 'hidden']).withMessage('Status must be published or hidden'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters'),
+    validate,
+  ],
+  moderateReview
+);
+
+router.delete('/reviews/:id', moderation, removeReview);
+
+// Audit log
+router.get(
+  '/audit-logs',
+  requirePermission('audit:read'),
+  [
+    // Repeated parameters arrive as arrays; each filter takes one value
+    query(['actor', 'targetType', 'target', 'action', 'from', 'to'])
+      .optional()
+      .isString()
+      .withMessage('Each filter takes a single value'),
+    query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('Limit must be between 1 and 200'),
+    validate,
+  ],
+  getAuditLogs
+);
+
+export default router;
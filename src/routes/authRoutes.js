@@ -3,10 +3,45 @@ import { body } from 'express-validator';
 import {
   register,
   login,
+  refresh,
   getMe,
+  getCsrfToken,
+  reauthenticate,
+  updateMe,
+  updatePassword,
   logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  requestMagicLink,
+  magicLinkLogin,
 } from '../controllers/authController.js';
-import { protect } from '../middleware/auth.js';
+import {
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
+  verifyMfa,
+} from '../controllers/mfaController.js';
+import { getMySessions, revokeMySession } from '../controllers/sessionController.js';
+import {
+  exportMyData,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+} from '../controllers/accountController.js';
+import { createApiKey, getApiKeys, revokeApiKey } from '../controllers/apiKeyController.js';
+import { startOidcLogin, oidcCallback } from '../controllers/oidcController.js';
+import config from '../config/config.js';
+import { protect, requireRecentAuth } from '../middleware/auth.js';
+import {
+  authLimiter,
+  verificationLimiter,
+  magicLinkLimiter,
+  forgotPasswordLimiter,
+  resetPasswordLimiter,
+} from '../middleware/security.js';
 import { validate, commonValidators } from '../middleware/validation.js';
 
 const router = express.Router();
@@ -23,6 +58,7 @@ const router = express.Router();
 
 router.post(
   '/register',
+  authLimiter,
   [
     body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
     ...commonValidators.email(),
@@ -34,6 +70,7 @@ router.post(
 
 router.post(
   '/login',
+  authLimiter,
   [
     ...commonValidators.email(),
     body('password').notEmpty().withMessage('Password is required'),
@@ -42,9 +79,162 @@ router.post(
   login
 );
 
+router.post('/refresh', refresh);
+
+// Social login (OpenID Connect)
+router.get('/oidc/:provider', startOidcLogin);
+
+router.get('/oidc/:provider/callback', oidcCallback);
+
+// Two-factor authentication
+router.post(
+  '/mfa/verify',
+  authLimiter,
+  [
+    body('mfaToken').notEmpty().withMessage('MFA token is required'),
+    body().custom((value) => Boolean(value.code || value.recoveryCode))
+      .withMessage('An authentication code or recovery code is required'),
+    validate,
+  ],
+  verifyMfa
+);
+
+router.post('/mfa/setup', protect, setupMfa);
+
+router.post(
+  '/mfa/enable',
+  protect,
+  [body('code').trim().notEmpty().withMessage('Authentication code is required'), validate],
+  enableMfa
+);
+
+router.post(
+  '/mfa/disable',
+  protect,
+  [body('password').notEmpty().withMessage('Password is required'), validate],
+  disableMfa
+);
+
+router.post(
+  '/mfa/recovery-codes',
+  protect,
+  [body('code').trim().notEmpty().withMessage('Authentication code is required'), validate],
+  regenerateRecoveryCodes
+);
+
+router.post(
+  '/magic-link',
+  [...commonValidators.email(), validate],
+  magicLinkLimiter,
+  requestMagicLink
+);
+
+router.get('/magic-link/:token', magicLinkLogin);
+
+router.get('/verify-email/:token', verifyEmail);
+
+router.post(
+  '/verify-email/resend',
+  [...commonValidators.email(), validate],
+  verificationLimiter,
+  resendVerification
+);
+
+router.post(
+  '/forgot-password',
+  [...commonValidators.email(), validate],
+  forgotPasswordLimiter,
+  forgotPassword
+);
+
+router.post(
+  '/reset-password/:token',
+  resetPasswordLimiter,
+  [...commonValidators.password(), validate],
+  resetPassword
+);
+
+router.get('/csrf', protect, getCsrfToken);
+
+// Step-up authentication for sensitive operations
+router.post(
+  '/reauth',
+  authLimiter,
+  protect,
+  [
+    body('password').optional().isString().withMessage('Password must be a string'),
+    body('code').optional().trim().notEmpty().withMessage('Authentication code cannot be empty'),
+    validate,
+  ],
+  reauthenticate
+);
+
 router.get('/me', protect, getMe);
+router.get('/me/export', protect, exportMyData);
+router.delete('/me', protect, requestAccountDeletion);
+router.post('/me/cancel-deletion', protect, cancelAccountDeletion);
+
+router.patch(
+  '/me',
+  protect,
+  [
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Name must be between 2 and 50 characters'),
+    body('email').optional().trim().isEmail().withMessage('Invalid email address'),
+    validate,
+  ],
+  updateMe
+);
+
+router.patch(
+  '/me/password',
+  protect,
+  requireRecentAuth(),
+  [
+    body('currentPassword').notEmpty().withMessage('Current password is required'),
+    ...commonValidators.password('newPassword'),
+    validate,
+  ],
+  updatePassword
+);
+
+router.get('/sessions', protect, getMySessions);
+
+router.delete('/sessions/:id', protect, revokeMySession);
+
+// API keys for machine-to-machine clients
+router.post(
+  '/api-keys',
+  protect,
+  requireRecentAuth(),
+  [
+    body('name').trim().notEmpty().withMessage('Key name is required'),
+    body('scopes')
+      .isArray({ min: 1 })
+      .withMessage('At least one scope is required'),
+    body('scopes.*')
+      .isIn(config.apiKeys.scopes)
+      .withMessage(`Scope must be one of: ${config.apiKeys.scopes.join(', ')}`),
+    body('expiresInDays')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('expiresInDays must be between 1 and 365')
+      .toInt(),
+    validate,
+  ],
+  createApiKey
+);
+
+router.get('/api-keys', protect, getApiKeys);
+
+router.delete('/api-keys/:id', protect, requireRecentAuth(), revokeApiKey);
 
 router.post('/logout', protect, logout);
 
+router.post('/logout-all', protect, logoutAll);
+
 export default router;
 
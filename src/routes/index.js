@@ -1,6 +1,8 @@
 import express from 'express';
 import authRoutes from './authRoutes.js';
 import productRoutes from './productRoutes.js';
+import adminRoutes from './adminRoutes.js';
+import organizationRoutes from './organizationRoutes.js';
 
 const router = express.Router();
 
@@ -14,6 +16,8 @@ const router = express.Router();
 
 router.use('/auth', authRoutes);
 router.use('/products', productRoutes);
+router.use('/admin', adminRoutes);
+router.use('/organizations', organizationRoutes);
 
 export default router;
 
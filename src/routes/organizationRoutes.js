@@ -0,0 +1,73 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  loadOrganization,
+  createOrganization,
+  getMyOrganizations,
+  selectOrganization,
+  getMembers,
+  addMember,
+  updateMemberRole,
+  removeMember,
+} from '../controllers/organizationController.js';
+import { protect, requirePermission, requireRecentAuth } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * Organization Routes
+ *
+ * Best Practices:
+ * 1. Membership first - Routes under /:id only resolve for members
+ * 2. Organization permissions - Checked against the member's role in that organization
+ * 3. Validation - Validate input data
+ */
+
+router.use(protect);
+
+// Loads req.organization and req.membership for every /:id route
+router.param('id', loadOrganization);
+
+router.get('/', getMyOrganizations);
+router.post(
+  '/',
+  [
+    body('name').trim().notEmpty().withMessage('Organization name is required'),
+    body('slug')
+      .trim()
+      .toLowerCase()
+      .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+      .withMessage('Slug may only contain lowercase letters, numbers and hyphens'),
+    validate,
+  ],
+  createOrganization
+);
+
+router.post('/:id/select', selectOrganization);
+
+// Members
+router.get('/:id/members', getMembers);
+router.post(
+  '/:id/members',
+  requirePermission('organization:manage'),
+  [
+    body('email').isEmail().withMessage('Please provide a valid email'),
+    body('role').optional().trim().toLowerCase().notEmpty().withMessage('Role cannot be empty'),
+    validate,
+  ],
+  addMember
+);
+router.patch(
+  '/:id/members/:userId',
+  requirePermission('organization:manage'),
+  requireRecentAuth(),
+  [
+    body('role').trim().toLowerCase().notEmpty().withMessage('Role is required'),
+    validate,
+  ],
+  updateMemberRole
+);
+router.delete('/:id/members/:userId', requirePermission('organization:manage'), requireRecentAuth(), removeMember);
+
+export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import {
   getProducts,
   getProduct,
@@ -7,8 +7,19 @@ import {
   updateProduct,
   deleteProduct,
   searchProducts,
+  autocompleteProducts,
+  getProductFacets,
 } from '../controllers/productController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import {
+  protect,
+  optionalAuth,
+  requireScope,
+  requirePermission,
+  requireRecentAuth,
+} from '../middleware/auth.js';
+import { resolveTenant, requireMembership } from '../middleware/tenant.js';
+import Product from '../models/Product.js';
+import reviewRoutes from './reviewRoutes.js';
 import { validate } from '../middleware/validation.js';
 
 const router = express.Router();
@@ -18,22 +29,69 @@ const router = express.Router();
  * 
  * Best Practices:
  * 1. Public vs Private routes - Different access levels
- * 2. Role-based routes - Admin-only operations
+ * 2. Permission-based routes - product:* permissions, with ownership-aware variants
  * 3. Nested routes - Organize related endpoints
  * 4. Validation - Validate input data
+ * 5. Tenant scoping - Every route runs inside the selected organization; public reads
+ *    identify a signed-in caller so the organization they selected applies
  */
 
-// Public routes
-router.get('/', getProducts);
-router.get('/search', searchProducts);
-router.get('/:id', getProduct);
+// Public routes (API keys need products:read)
+const publicRead = [optionalAuth, requireScope('products:read'), resolveTenant];
+
+router.get(
+  '/',
+  publicRead,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive integer'),
+    query('total').optional().isBoolean().withMessage('total must be true or false'),
+    validate,
+  ],
+  getProducts
+);
+router.get(
+  '/search',
+  publicRead,
+  [
+    query('q').isString().trim().notEmpty().withMessage('Search query is required'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive integer'),
+    validate,
+  ],
+  searchProducts
+);
+router.get(
+  '/autocomplete',
+  publicRead,
+  [
+    query('q').isString().trim().notEmpty().withMessage('Search query is required'),
+    query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive integer'),
+    validate,
+  ],
+  autocompleteProducts
+);
+router.get('/facets', publicRead, getProductFacets);
+router.get('/:id', publicRead, getProduct);
+
+// Reviews (public listing, own reviews for signed-in users)
+router.use('/:id/reviews', reviewRoutes);
 
-// Protected routes (Admin only)
-router.use(protect);
-router.use(authorize('admin'));
+/**
+ * Resolve the creator of the product in the URL, for `:own` permissions
+ */
+const productOwner = async (req) => {
+  const product = await Product.findById(req.params.id).select('createdBy').lean();
+  return product && product.createdBy;
+};
+
+// Protected routes (members of the organization; API keys need products:write)
+router.use(protect, resolveTenant, requireMembership);
+router.use(requireScope('products:write'));
 
 router.post(
   '/',
+  requirePermission('product:create'),
   [
     body('name').trim().notEmpty().withMessage('Product name is required'),
     body('description').trim().notEmpty().withMessage('Description is required'),
@@ -48,8 +106,13 @@ router.post(
   createProduct
 );
 
-router.patch('/:id', updateProduct);
-router.delete('/:id', deleteProduct);
+router.patch('/:id', requirePermission('product:update', { owner: productOwner }), updateProduct);
+router.delete(
+  '/:id',
+  requirePermission('product:delete', { owner: productOwner }),
+  requireRecentAuth(),
+  deleteProduct
+);
 
 export default router;
 
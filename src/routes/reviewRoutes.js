@@ -0,0 +1,96 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import {
+  loadProduct,
+  getReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+} from '../controllers/reviewController.js';
+import { protect, optionalAuth, requireScope } from '../middleware/auth.js';
+import { resolveTenant } from '../middleware/tenant.js';
+import { validate } from '../middleware/validation.js';
+
+// Mounted at /api/products/:id/reviews
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Review Routes
+ *
+ * Best Practices:
+ * 1. Nested under the product - Reviews only exist in the context of a product
+ * 2. Public reading, authenticated writing - Any signed-in customer may review
+ * 3. Same tenant as the product - The product is loaded inside the organization context
+ * 4. Moderation elsewhere - Hiding and removing other people's reviews lives in the admin routes
+ */
+
+const ratingRule = (field) =>
+  field.isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number from 1 to 5').toInt();
+
+// Reading is public (API keys need products:read)
+router.get(
+  '/',
+  optionalAuth,
+  requireScope('products:read'),
+  resolveTenant,
+  loadProduct,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive integer'),
+    query('sort')
+      .optional()
+      .isIn(['newest', 'oldest', 'highest', 'lowest'])
+      .withMessage('Sort must be newest, oldest, highest or lowest'),
+    ratingRule(query('rating').optional()),
+    validate,
+  ],
+  getReviews
+);
+
+// Writing requires a login (API keys need products:write)
+router.use(protect, requireScope('products:write'), resolveTenant, loadProduct);
+
+router.post(
+  '/',
+  [
+    ratingRule(body('rating')),
+    body('title')
+      .trim()
+      .notEmpty()
+      .withMessage('Title is required')
+      .isLength({ max: 120 })
+      .withMessage('Title cannot exceed 120 characters'),
+    body('body')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Review cannot exceed 2000 characters'),
+    validate,
+  ],
+  createReview
+);
+
+router.patch(
+  '/:reviewId',
+  [
+    ratingRule(body('rating').optional()),
+    body('title')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Title cannot be empty')
+      .isLength({ max: 120 })
+      .withMessage('Title cannot exceed 120 characters'),
+    body('body')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Review cannot exceed 2000 characters'),
+    validate,
+  ],
+  updateReview
+);
+
+router.delete('/:reviewId', deleteReview);
+
+export default router;
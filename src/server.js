@@ -6,7 +6,10 @@ import database from './config/database.js';
 import routes from './routes/index.js';
 import { errorHandler, notFound } from './middleware/errorHandler.js';
 import { setupSecurity } from './middleware/security.js';
+import { requestId } from './middleware/requestId.js';
 import logger from './utils/logger.js';
+import { getJwks } from './utils/jwt.js';
+import { startAccountPurgeJob } from './jobs/accountPurge.js';
 
 /**
  * Express Server Setup
@@ -24,6 +27,12 @@ import logger from './utils/logger.js';
 
 const app = express();
 
+/**
+ * Request ID
+ * Tag every request (and its response, logs and audit entries) with an id
+ */
+app.use(requestId);
+
 /**
  * Setup Security Middleware
  * Handles:
@@ -69,6 +78,15 @@ app.get('/health', (req, res) => {
   });
 });
 
+/**
+ * JSON Web Key Set
+ * Public keys other services use to verify our access tokens
+ */
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json(getJwks());
+});
+
 /**
  * API Routes
  * All API routes are prefixed with /api
@@ -95,6 +113,9 @@ const startServer = async () => {
     // Connect to database
     await database.connect();
 
+    // Background jobs
+    startAccountPurgeJob();
+
     // Start listening
     const server = app.listen(config.port, () => {
       logger.info(`Server running in ${config.env} mode`);
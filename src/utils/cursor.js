@@ -0,0 +1,134 @@
+import mongoose from 'mongoose';
+import { AppError } from './AppError.js';
+
+/**
+ * Cursor (Keyset) Pagination Helpers
+ *
+ * A cursor records the sort the client was paging through plus the sort
+ * value and _id of the row at the edge of the page. The next query starts
+ * strictly after (or before) that row, so deep pages cost the same as the
+ * first one and inserts do not shift results between pages.
+ *
+ * Best Practices:
+ * 1. Opaque cursors - base64url JSON; clients must not build them
+ * 2. Stable order - _id breaks ties between equal sort values
+ * 3. Typed values - Cursor values are cast through the schema, never passed raw
+ */
+
+const invalidCursor = () => new AppError('Invalid cursor', 400);
+
+/**
+ * Parse a Mongoose sort string ('-rating.average price.amount')
+ * @returns {Array<{ field: string, direction: 1|-1 }>}
+ */
+export const parseSort = (sortOption) => {
+  return sortOption
+    .split(' ')
+    .filter(Boolean)
+    .map((key) =>
+      key.startsWith('-') ? { field: key.slice(1), direction: -1 } : { field: key, direction: 1 }
+    );
+};
+
+/**
+ * Encode a cursor for the row at the edge of a page
+ * @param {string} sortOption - Sort string the page was produced with
+ * @param {object} doc - Row at the edge of the page
+ * @param {'next'|'prev'} direction - Which way the cursor pages
+ */
+export const encodeCursor = (sortOption, doc, direction) => {
+  const values = parseSort(sortOption).map(({ field }) => doc.get(field));
+  const payload = { s: sortOption, v: values, id: String(doc._id), d: direction };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor and cast its values through the schema
+ * @throws {AppError} 400 for malformed cursors or a different sort
+ * @returns {{ values: Array, id: mongoose.Types.ObjectId, direction: 'next'|'prev' }}
+ */
+export const decodeCursor = (cursor, sortOption, schema) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidCursor();
+  }
+
+  const sort = parseSort(sortOption);
+  if (
+    !payload ||
+    payload.s !== sortOption ||
+    !['next', 'prev'].includes(payload.d) ||
+    !mongoose.isValidObjectId(payload.id) ||
+    !Array.isArray(payload.v) ||
+    payload.v.length !== sort.length ||
+    !payload.v.every((value) => ['string', 'number'].includes(typeof value))
+  ) {
+    throw invalidCursor();
+  }
+
+  let values;
+  try {
+    values = sort.map(({ field }, i) => schema.path(field).cast(payload.v[i]));
+  } catch (error) {
+    throw invalidCursor();
+  }
+  if (values.some((value) => value instanceof Date && Number.isNaN(value.getTime()))) {
+    throw invalidCursor();
+  }
+
+  return { values, id: new mongoose.Types.ObjectId(payload.id), direction: payload.d };
+};
+
+/**
+ * Filter and sort for the page after (next) or before (prev) a cursor
+ * Prev pages are read in reverse order; reverse the rows afterwards.
+ * @returns {{ filter: object, sort: object }}
+ */
+export const cursorQuery = (sortOption, cursor) => {
+  const reverse = Boolean(cursor && cursor.direction === 'prev');
+  const keys = parseSort(sortOption).map(({ field, direction }, i) => ({
+    field,
+    order: reverse ? -direction : direction,
+    value: cursor && cursor.values[i],
+  }));
+  // _id breaks ties in the direction of the last sort key
+  keys.push({ field: '_id', order: keys[keys.length - 1].order, value: cursor && cursor.id });
+
+  const sort = Object.fromEntries(keys.map(({ field, order }) => [field, order]));
+  if (!cursor) {
+    return { filter: {}, sort };
+  }
+
+  // (a > x) or (a = x and b > y) or (a = x and b = y and _id > z) ...
+  const $or = keys.map(({ field, order, value }, i) => ({
+    ...Object.fromEntries(keys.slice(0, i).map((key) => [key.field, key.value])),
+    [field]: { [order === 1 ? '$gt' : '$lt']: value },
+  }));
+
+  return { filter: { $or }, sort };
+};
+
+/**
+ * Build an RFC 5988 Link header
+ * @param {string} url - Request URL, with or without a query string
+ * @param {object} links - rel => cursor; null entries are skipped, '' links without a cursor
+ */
+export const buildLinkHeader = (url, links) => {
+  const [path, search = ''] = url.split('?');
+
+  return Object.entries(links)
+    .filter(([, cursor]) => cursor !== null)
+    .map(([rel, cursor]) => {
+      const params = new URLSearchParams(search);
+      params.delete('cursor');
+      params.delete('page');
+      if (cursor) {
+        params.set('cursor', cursor);
+      }
+      const query = params.toString();
+      return `<${path}${query ? `?${query}` : ''}>; rel="${rel}"`;
+    })
+    .join(', ');
+};
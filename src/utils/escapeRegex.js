@@ -0,0 +1,5 @@
+/**
+ * Escape a string for literal use inside a RegExp
+ * Use before building a regex from user input.
+ */
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
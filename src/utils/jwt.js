@@ -0,0 +1,251 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import config from '../config/config.js';
+import logger from './logger.js';
+import { generateRandomToken } from './tokens.js';
+
+/**
+ * JWT Signing Keyring
+ *
+ * Tokens are signed with an asymmetric key and carry its `kid` in the header,
+ * so several keys can verify at once while only one signs. Keys are PEM files
+ * in JWT_KEYS_DIR named `<kid>.pem`:
+ * - a private key can sign and verify
+ * - a public key only verifies (a key on its way out)
+ *
+ * Best Practices:
+ * 1. Asymmetric algorithms - RS256 for RSA keys, ES256 for P-256 keys
+ * 2. Key ids - Verification picks the key named in the token header
+ * 3. Issuer and audience - Every token is bound to this API
+ * 4. Public JWKS - Other services verify tokens without sharing a secret
+ * 5. No default secret - Production refuses to start without keys
+ * 6. Separate purpose tokens - MFA, email link and OIDC state tokens use their
+ *    own unpublished secret and audience, so JWKS verifiers never accept them
+ */
+
+const EC_ALGORITHMS = {
+  'prime256v1': 'ES256',
+  'secp384r1': 'ES384',
+};
+
+/**
+ * Pick the JWS algorithm for a key
+ */
+const algorithmFor = (key) => {
+  if (key.asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+  if (key.asymmetricKeyType === 'ec' && EC_ALGORITHMS[key.asymmetricKeyDetails.namedCurve]) {
+    return EC_ALGORITHMS[key.asymmetricKeyDetails.namedCurve];
+  }
+  throw new Error(`Unsupported JWT key type: ${key.asymmetricKeyType}`);
+};
+
+export class KeyRing {
+  constructor() {
+    this.keys = new Map();
+    this.signingKid = null;
+  }
+
+  /**
+   * Add a key from PEM. Private keys can sign; public keys only verify.
+   */
+  addKey(kid, pem) {
+    let privateKey = null;
+    let publicKey;
+    try {
+      privateKey = crypto.createPrivateKey(pem);
+      publicKey = crypto.createPublicKey(privateKey);
+    } catch (error) {
+      publicKey = crypto.createPublicKey(pem);
+    }
+
+    this.keys.set(kid, { kid, alg: algorithmFor(publicKey), privateKey, publicKey });
+    return this;
+  }
+
+  /**
+   * Choose the key new tokens are signed with
+   */
+  setSigningKey(kid) {
+    const key = this.keys.get(kid);
+    if (!key || !key.privateKey) {
+      throw new Error(`JWT signing key '${kid}' is missing or has no private key`);
+    }
+    this.signingKid = kid;
+    return this;
+  }
+
+  getSigningKey() {
+    return this.keys.get(this.signingKid);
+  }
+
+  getKey(kid) {
+    return this.keys.get(kid);
+  }
+
+  /**
+   * Public keys as a JSON Web Key Set
+   */
+  toJwks() {
+    return {
+      keys: [...this.keys.values()].map(({ kid, alg, publicKey }) => ({
+        ...publicKey.export({ format: 'jwk' }),
+        kid,
+        alg,
+        use: 'sig',
+      })),
+    };
+  }
+}
+
+/**
+ * Load every `<kid>.pem` in a directory
+ * The signing key is `signingKid`, or the only private key present.
+ */
+export const loadKeyRing = (dir, signingKid) => {
+  const keyRing = new KeyRing();
+
+  for (const file of fs.readdirSync(dir).filter((name) => name.endsWith('.pem')).sort()) {
+    keyRing.addKey(path.basename(file, '.pem'), fs.readFileSync(path.join(dir, file), 'utf8'));
+  }
+
+  if (signingKid) {
+    return keyRing.setSigningKey(signingKid);
+  }
+
+  const signingKeys = [...keyRing.keys.values()].filter((key) => key.privateKey);
+  if (signingKeys.length !== 1) {
+    throw new Error(
+      `Set JWT_SIGNING_KID: ${signingKeys.length} private keys found in ${dir}, expected exactly one`
+    );
+  }
+  return keyRing.setSigningKey(signingKeys[0].kid);
+};
+
+/**
+ * Build the keyring from configuration
+ * Outside production a missing key directory falls back to a throwaway key,
+ * so tokens stop working on restart. Production must provide keys.
+ */
+const createKeyRing = () => {
+  const { keysDir, signingKid } = config.jwt;
+
+  if (fs.existsSync(keysDir)) {
+    return loadKeyRing(keysDir, signingKid);
+  }
+
+  if (config.isProduction) {
+    throw new Error(`JWT key directory '${keysDir}' not found`);
+  }
+
+  logger.warn(
+    `JWT key directory '${keysDir}' not found, signing with an ephemeral key. Tokens will not survive a restart.`
+  );
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  return new KeyRing()
+    .addKey('ephemeral', privateKey.export({ format: 'pem', type: 'pkcs8' }))
+    .setSigningKey('ephemeral');
+};
+
+let keyRing = createKeyRing();
+
+/**
+ * Replace the active keyring (e.g. after rotating keys, or in tests)
+ */
+export const setKeyRing = (nextKeyRing) => {
+  keyRing = nextKeyRing;
+};
+
+/**
+ * Sign a token with the current signing key
+ * @param {object} payload
+ * @param {object} [options] - jsonwebtoken sign options (expiresIn, jwtid, ...)
+ */
+export const signToken = (payload, options = {}) => {
+  const { kid, alg, privateKey } = keyRing.getSigningKey();
+  return jwt.sign(payload, privateKey, {
+    algorithm: alg,
+    keyid: kid,
+    issuer: config.jwt.issuer,
+    audience: config.jwt.audience,
+    ...options,
+  });
+};
+
+/**
+ * Verify a token issued by this API
+ * Throws jsonwebtoken errors, so the error handler maps them to 401s.
+ */
+export const verifyToken = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded && keyRing.getKey(decoded.header.kid);
+
+  if (!key) {
+    throw new jwt.JsonWebTokenError('invalid token');
+  }
+
+  return jwt.verify(token, key.publicKey, {
+    algorithms: [key.alg],
+    issuer: config.jwt.issuer,
+    audience: config.jwt.audience,
+  });
+};
+
+const resolvePurposeSecret = () => {
+  if (config.jwt.purposeSecret) {
+    return config.jwt.purposeSecret;
+  }
+  logger.warn('JWT_PURPOSE_SECRET is not set, using an ephemeral secret. Email links will not survive a restart.');
+  return generateRandomToken(32);
+};
+
+const purposeSecret = resolvePurposeSecret();
+
+const purposeAudience = (purpose) => `${config.jwt.audience}:${purpose}`;
+
+/**
+ * Sign a single-purpose token (e.g. 'mfa', 'verify-email', 'magic-link', 'oidc')
+ * HMAC with a secret that is not in the JWKS, and an audience per purpose, so
+ * the token is useless as an access token here or anywhere else.
+ * @param {string} purpose
+ * @param {object} payload
+ * @param {object} [options] - jsonwebtoken sign options (expiresIn, jwtid, ...)
+ */
+export const signPurposeToken = (purpose, payload, options = {}) => {
+  return jwt.sign({ ...payload, purpose }, purposeSecret, {
+    ...options,
+    algorithm: 'HS256',
+    issuer: config.jwt.issuer,
+    audience: purposeAudience(purpose),
+  });
+};
+
+/**
+ * Verify a token made by signPurposeToken for the given purpose
+ * Throws jsonwebtoken errors like verifyToken.
+ */
+export const verifyPurposeToken = (token, purpose) => {
+  const decoded = jwt.verify(token, purposeSecret, {
+    algorithms: ['HS256'],
+    issuer: config.jwt.issuer,
+    audience: purposeAudience(purpose),
+  });
+
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError('jwt purpose invalid');
+  }
+  return decoded;
+};
+
+/**
+ * Decode a token without verifying it
+ */
+export const decodeToken = (token) => jwt.decode(token);
+
+/**
+ * Public keys for /.well-known/jwks.json
+ */
+export const getJwks = () => keyRing.toJwks();
@@ -0,0 +1,92 @@
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/config.js';
+import logger from './logger.js';
+
+/**
+ * Mailer with Pluggable Transports
+ *
+ * Best Practices:
+ * 1. Transport interface - Anything with `async send(message)` can deliver mail
+ * 2. Environment-based transport - Console/file for development and tests
+ * 3. Single entry point - Controllers never talk to a transport directly
+ *
+ * A message has the shape `{ from, to, subject, text }`.
+ */
+
+/**
+ * Console transport
+ * Logs every message, useful during local development
+ */
+export class ConsoleTransport {
+  async send(message) {
+    logger.info(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { delivered: true };
+  }
+}
+
+/**
+ * File transport
+ * Writes each message as a JSON file so tests can read it back
+ */
+export class FileTransport {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    const filePath = path.join(this.directory, fileName);
+    await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+    return { delivered: true, path: filePath };
+  }
+}
+
+const transportFactories = {
+  console: () => new ConsoleTransport(),
+  file: () => new FileTransport(config.mail.fileDir),
+};
+
+/**
+ * Register a custom transport factory (e.g. SMTP or an email API)
+ * @param {string} name - Value of MAIL_TRANSPORT that selects it
+ * @param {() => { send: Function }} factory
+ */
+export const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+};
+
+class Mailer {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Replace the active transport (e.g. an in-memory transport in tests)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      const factory = transportFactories[config.mail.transport];
+      if (!factory) {
+        throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+      }
+      this.transport = factory();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Send a message through the active transport
+   * @param {{ to: string, subject: string, text: string }} message
+   */
+  async send(message) {
+    return this.getTransport().send({ from: config.mail.from, ...message });
+  }
+}
+
+export default new Mailer();
@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import config from '../config/config.js';
+
+/**
+ * OpenID Connect Provider Client
+ *
+ * Best Practices:
+ * 1. Discovery - Endpoints and keys come from the provider's discovery document
+ * 2. Authorization code + PKCE (S256) - No tokens in the browser URL
+ * 3. state/nonce - Bind the callback and ID token to the login attempt
+ * 4. ID token validation - Signature (JWKS), issuer, audience, expiry and nonce
+ * 5. No vendor SDKs - Any compliant IdP works, including a local mock in tests
+ */
+
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Generate a PKCE verifier and its S256 challenge
+ */
+export const createPkcePair = () => {
+  const verifier = base64url(crypto.randomBytes(32));
+  const challenge = base64url(crypto.createHash('sha256').update(verifier).digest());
+  return { verifier, challenge };
+};
+
+export class OidcProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.name - Provider name used in routes
+   * @param {string} options.discoveryUrl - URL of .well-known/openid-configuration
+   * @param {string} options.clientId
+   * @param {string} [options.clientSecret]
+   * @param {string} [options.scope]
+   */
+  constructor({ name, discoveryUrl, clientId, clientSecret, scope = 'openid email profile' }) {
+    this.name = name;
+    this.discoveryUrl = discoveryUrl;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.scope = scope;
+    this.metadata = null;
+    this.metadataFetchedAt = 0;
+    this.jwks = null;
+  }
+
+  /**
+   * Fetch JSON and fail loudly on non-2xx responses
+   */
+  async fetchJson(url, options) {
+    const response = await fetch(url, options);
+    if (!response.ok) {
+      throw new Error(`OIDC request to ${url} failed with status ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Load (and cache) the provider's discovery document
+   */
+  async discover() {
+    if (!this.metadata || Date.now() - this.metadataFetchedAt > DISCOVERY_CACHE_MS) {
+      this.metadata = await this.fetchJson(this.discoveryUrl);
+      this.metadataFetchedAt = Date.now();
+      this.jwks = null;
+    }
+    return this.metadata;
+  }
+
+  /**
+   * Build the URL the user is redirected to for login
+   */
+  async getAuthorizationUrl({ redirectUri, state, nonce, codeChallenge }) {
+    const metadata = await this.discover();
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: redirectUri,
+      scope: this.scope,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+    });
+    return `${metadata.authorization_endpoint}?${params.toString()}`;
+  }
+
+  /**
+   * Exchange an authorization code for tokens
+   */
+  async exchangeCode({ code, codeVerifier, redirectUri }) {
+    const metadata = await this.discover();
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: this.clientId,
+      code_verifier: codeVerifier,
+    });
+    if (this.clientSecret) {
+      body.set('client_secret', this.clientSecret);
+    }
+
+    return this.fetchJson(metadata.token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body,
+    });
+  }
+
+  /**
+   * Resolve the public key for a `kid`, refetching the JWKS once on a miss
+   * so provider key rotation is picked up
+   */
+  async getSigningKey(kid) {
+    const metadata = await this.discover();
+
+    for (let attempt = 0; attempt < 2; attempt += 1) {
+      if (!this.jwks || attempt > 0) {
+        this.jwks = await this.fetchJson(metadata.jwks_uri);
+      }
+      const jwk = this.jwks.keys.find((key) => key.kid === kid || (!kid && this.jwks.keys.length === 1));
+      if (jwk) {
+        return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      }
+    }
+
+    throw new Error(`No signing key found for kid ${kid}`);
+  }
+
+  /**
+   * Validate an ID token and return its claims
+   */
+  async verifyIdToken(idToken, { nonce }) {
+    const metadata = await this.discover();
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new Error('Malformed ID token');
+    }
+
+    const key = await this.getSigningKey(decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256', 'ES256'],
+      issuer: metadata.issuer,
+      audience: this.clientId,
+    });
+
+    if (!claims.nonce || claims.nonce !== nonce) {
+      throw new Error('ID token nonce mismatch');
+    }
+    return claims;
+  }
+}
+
+/**
+ * Providers configured through OIDC_PROVIDERS, keyed by name
+ */
+const providers = new Map(
+  config.oidc.providers.map((options) => [options.name, new OidcProvider(options)])
+);
+
+/**
+ * Look up a configured provider by name
+ * @returns {OidcProvider|undefined}
+ */
+export const getProvider = (name) => providers.get(name);
+
+/**
+ * Register or replace a provider at runtime (e.g. a mock IdP in tests)
+ */
+export const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
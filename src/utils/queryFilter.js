@@ -0,0 +1,160 @@
+/**
+ * Whitelisted Query Filter Grammar
+ *
+ * Turns query strings such as `price[gte]=10&category=books,food` and
+ * `sort=-rating.average,price.amount` into MongoDB filters and sorts.
+ * Only declared fields and operators are accepted, and every value is cast
+ * through the schema, so query strings cannot inject operators.
+ *
+ * Best Practices:
+ * 1. Whitelist - Unknown fields, operators and sort keys are errors, not ignored
+ * 2. Schema coercion - Values are cast with the field's SchemaType
+ * 3. Collected errors - Every problem is reported at once, in the validate format
+ */
+
+const MONGO_OPERATORS = {
+  eq: '$eq',
+  ne: '$ne',
+  gt: '$gt',
+  gte: '$gte',
+  lt: '$lt',
+  lte: '$lte',
+  in: '$in',
+  nin: '$nin',
+  all: '$all',
+};
+
+const LIST_OPERATORS = ['in', 'nin', 'all'];
+
+const splitList = (value) => value.split(',').map((item) => item.trim());
+
+/**
+ * Cast one raw value through a SchemaType (the element type for arrays)
+ * @throws {Error} when the value does not fit the field
+ */
+const castValue = (schemaType, raw) => {
+  const type = schemaType.caster || schemaType;
+  const trimmed = raw.trim();
+  if (trimmed === '') {
+    throw new Error('empty value');
+  }
+
+  const value = type.cast(trimmed);
+  if (value instanceof Date && Number.isNaN(value.getTime())) {
+    throw new Error('invalid date');
+  }
+  if (type.enumValues && type.enumValues.length > 0 && !type.enumValues.includes(value)) {
+    throw new Error('not an allowed value');
+  }
+  return value;
+};
+
+/**
+ * MongoDB condition for one operator, e.g. ('between', '1,5') => { $gte: 1, $lte: 5 }
+ */
+const buildCondition = (schemaType, op, raw) => {
+  if (op === 'between') {
+    const bounds = splitList(raw);
+    if (bounds.length !== 2) {
+      throw new Error('between needs two values');
+    }
+    return { $gte: castValue(schemaType, bounds[0]), $lte: castValue(schemaType, bounds[1]) };
+  }
+  if (LIST_OPERATORS.includes(op)) {
+    return { [MONGO_OPERATORS[op]]: splitList(raw).map((item) => castValue(schemaType, item)) };
+  }
+  return { [MONGO_OPERATORS[op]]: castValue(schemaType, raw) };
+};
+
+/**
+ * Normalize a parsed query value to { operator: rawValue }
+ * `field=a` is eq, `field=a,b` or a repeated field is in (when allowed)
+ */
+const toConditions = (raw, operators) => {
+  if (Array.isArray(raw)) {
+    return { in: raw.every((item) => typeof item === 'string') ? raw.join(',') : raw };
+  }
+  if (typeof raw === 'string') {
+    return raw.includes(',') && operators.includes('in') ? { in: raw } : { eq: raw };
+  }
+  return raw;
+};
+
+/**
+ * Build a MongoDB filter from query parameters
+ * @param {object} query - Parsed query string, without pagination and other reserved keys
+ * @param {object} fields - Public name => { path, operators }
+ * @param {mongoose.Schema} schema - Schema the paths belong to
+ * @returns {{ filter: object, errors: Array<{ field: string, message: string, value: * }> }}
+ */
+export const parseFilters = (query, fields, schema) => {
+  const filter = {};
+  const errors = [];
+
+  for (const [name, raw] of Object.entries(query)) {
+    const spec = Object.prototype.hasOwnProperty.call(fields, name) ? fields[name] : null;
+    if (!spec) {
+      errors.push({ field: name, message: `Unknown filter '${name}'`, value: raw });
+      continue;
+    }
+
+    const schemaType = schema.path(spec.path);
+    for (const [op, value] of Object.entries(toConditions(raw, spec.operators))) {
+      const field = `${name}[${op}]`;
+      if (!spec.operators.includes(op)) {
+        errors.push({ field, message: `Operator '${op}' is not supported for '${name}'`, value });
+        continue;
+      }
+      if (typeof value !== 'string') {
+        errors.push({ field, message: `'${field}' must be a single value`, value });
+        continue;
+      }
+
+      try {
+        filter[spec.path] = { ...filter[spec.path], ...buildCondition(schemaType, op, value) };
+      } catch (error) {
+        errors.push({ field, message: `Invalid value for '${field}'`, value });
+      }
+    }
+  }
+
+  return { filter, errors };
+};
+
+/**
+ * Build a Mongoose sort string from `sort=-rating.average,price.amount`
+ * @param {string} [sort] - Raw sort parameter
+ * @param {string[]} options.fields - Sortable paths
+ * @param {object} [options.aliases] - Named sorts, e.g. { priceAsc: 'price.amount' }
+ * @param {string} options.defaultSort - Sort when none is given
+ * @param {number} [options.maxFields] - Most keys in one sort
+ * @returns {{ sortOption: string, errors: Array<{ field: string, message: string, value: * }> }}
+ */
+export const parseSortParam = (sort, { fields, aliases = {}, defaultSort, maxFields = 3 }) => {
+  if (sort === undefined || sort === '') {
+    return { sortOption: defaultSort, errors: [] };
+  }
+  if (typeof sort !== 'string') {
+    return { sortOption: defaultSort, errors: [{ field: 'sort', message: 'Sort must be a single value', value: sort }] };
+  }
+  if (Object.prototype.hasOwnProperty.call(aliases, sort)) {
+    return { sortOption: aliases[sort], errors: [] };
+  }
+
+  const keys = splitList(sort);
+  const paths = keys.map((key) => key.replace(/^-/, ''));
+  const errors = [];
+
+  const unknown = paths.filter((path) => !fields.includes(path));
+  if (unknown.length > 0) {
+    errors.push({ field: 'sort', message: `Cannot sort by: ${unknown.join(', ')}`, value: sort });
+  }
+  if (new Set(paths).size !== paths.length) {
+    errors.push({ field: 'sort', message: 'Sort fields must not repeat', value: sort });
+  }
+  if (keys.length > maxFields) {
+    errors.push({ field: 'sort', message: `Sort by at most ${maxFields} fields`, value: sort });
+  }
+
+  return { sortOption: errors.length > 0 ? defaultSort : keys.join(' '), errors };
+};
@@ -0,0 +1,142 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import mongoose from 'mongoose';
+
+/**
+ * Tenant Context and Scoping Plugin
+ *
+ * The active organization of a request lives in AsyncLocalStorage, set by
+ * the tenant middleware. Models using `tenantScopePlugin` add it to every
+ * query, aggregation and new document on their own, so a forgotten filter
+ * cannot leak data across organizations.
+ *
+ * Best Practices:
+ * 1. Fail closed - Scoped models refuse to query without a tenant
+ * 2. Explicit escape hatch - Cross-tenant queries opt in with `{ skipTenant: true }`
+ * 3. Write protection - Documents are created in the active tenant and cannot be moved
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with an active organization
+ */
+export const runWithTenant = (organizationId, fn) => {
+  return storage.run({ organizationId: new mongoose.Types.ObjectId(String(organizationId)) }, fn);
+};
+
+/**
+ * The active organization id, or null outside a tenant context
+ * @returns {mongoose.Types.ObjectId|null}
+ */
+export const getTenantId = () => {
+  const store = storage.getStore();
+  return store ? store.organizationId : null;
+};
+
+class TenantContextError extends Error {
+  constructor(modelName) {
+    super(`${modelName} queries require an organization context`);
+    this.name = 'TenantContextError';
+  }
+}
+
+const QUERY_HOOKS = [
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'deleteOne',
+  'deleteMany',
+  'replaceOne',
+  'updateOne',
+  'updateMany',
+];
+
+// Stages that must stay first in a pipeline
+const LEADING_STAGES = ['$geoNear', '$search', '$vectorSearch'];
+
+/**
+ * Mongoose plugin adding a required `organization` path and tenant scoping
+ */
+export const tenantScopePlugin = (schema) => {
+  schema.add({
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+      immutable: true,
+      index: true,
+    },
+  });
+
+  schema.pre(QUERY_HOOKS, function () {
+    if (this.getOptions().skipTenant) {
+      return;
+    }
+    const organizationId = getTenantId();
+    if (!organizationId) {
+      throw new TenantContextError(this.model.modelName);
+    }
+    this.where({ organization: organizationId });
+
+    // Updates must not move a document to another tenant
+    const update = this.getUpdate();
+    if (update) {
+      delete update.organization;
+      if (update.$set) delete update.$set.organization;
+    }
+  });
+
+  schema.pre('aggregate', function () {
+    if (this.options.skipTenant) {
+      return;
+    }
+    const organizationId = getTenantId();
+    if (!organizationId) {
+      throw new TenantContextError(this._model.modelName);
+    }
+
+    const pipeline = this.pipeline();
+    const first = pipeline[0] && Object.keys(pipeline[0])[0];
+
+    // Join a leading $match rather than going before it: $text must stay in the first stage
+    if (first === '$match') {
+      const match = pipeline[0].$match;
+      pipeline[0].$match =
+        match.organization === undefined
+          ? { ...match, organization: organizationId }
+          : { $and: [match, { organization: organizationId }] };
+      return;
+    }
+
+    const index = LEADING_STAGES.includes(first) ? 1 : 0;
+    pipeline.splice(index, 0, { $match: { organization: organizationId } });
+  });
+
+  schema.pre('validate', function () {
+    const organizationId = getTenantId();
+    if (!organizationId) {
+      return;
+    }
+    // New documents always belong to the active tenant, whatever the input said
+    if (this.isNew) {
+      this.organization = organizationId;
+    }
+    if (!organizationId.equals(this.organization)) {
+      throw new TenantContextError(this.constructor.modelName);
+    }
+  });
+
+  schema.pre('insertMany', function (next, docs) {
+    const organizationId = getTenantId();
+    for (const doc of [].concat(docs)) {
+      if (organizationId) {
+        doc.organization = organizationId;
+      }
+    }
+    next();
+  });
+};
@@ -0,0 +1,149 @@
+import { escapeRegex } from './escapeRegex.js';
+
+/**
+ * Text Search Helpers
+ *
+ * Best Practices:
+ * 1. Escape before marking up - Highlights are HTML-escaped, only <mark> is added
+ * 2. Bounded patterns - Typo-tolerant regexes allow one edit and cap the term length
+ * 3. Same terms as MongoDB - Negated words are never highlighted
+ */
+
+const MAX_TERM_LENGTH = 50;
+
+// A letter or digit, in any script
+const WORD_CHAR = '[\\p{L}\\p{N}]';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for HTML output
+ */
+export const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * Terms of a $text search string, lowercased
+ * Quoted phrases stay whole; words prefixed with `-` are excluded.
+ */
+export const searchTerms = (query) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+  while ((match = pattern.exec(String(query))) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4]).toLowerCase();
+    if (!negated && term.length > 1) {
+      terms.push(term);
+    }
+  }
+  return [...new Set(terms)];
+};
+
+/**
+ * Highlight search terms in a text, optionally cut to a snippet around the first match
+ * Words starting with a term are marked, so `run` also marks `running`.
+ * @param {number} [options.maxLength] - Snippet length; the full text when omitted
+ * @returns {string|null} HTML-escaped text with <mark> around matches
+ */
+export const highlight = (text, terms, { maxLength } = {}) => {
+  if (!text) {
+    return null;
+  }
+  if (terms.length === 0) {
+    return escapeHtml(maxLength ? text.slice(0, maxLength) : text);
+  }
+
+  const pattern = new RegExp(
+    `(?<!${WORD_CHAR})(?:${terms.map(escapeRegex).join('|')})${WORD_CHAR}*`,
+    'giu'
+  );
+
+  let start = 0;
+  let end = text.length;
+  if (maxLength && text.length > maxLength) {
+    const first = text.search(pattern);
+    // Show some context before the first match, starting at a word boundary
+    start = Math.max(0, Math.min(first - Math.floor(maxLength / 3), text.length - maxLength));
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      start = space !== -1 && space < first ? space + 1 : start;
+    }
+    end = Math.min(text.length, start + maxLength);
+  }
+
+  const snippet = text.slice(start, end);
+  let html = '';
+  let last = 0;
+  for (const match of snippet.matchAll(pattern)) {
+    html += `${escapeHtml(snippet.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  html += escapeHtml(snippet.slice(last));
+
+  return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Regex source matching a word that starts with `term`, allowing one typo
+ * Covers a substituted, missing, extra or swapped character. Terms shorter
+ * than `minLengthForTypos` must match exactly.
+ */
+export const fuzzyPrefixPattern = (term, { minLengthForTypos = 4 } = {}) => {
+  const chars = [...String(term).toLowerCase().slice(0, MAX_TERM_LENGTH)];
+  const variants = new Set([escapeRegex(chars.join(''))]);
+
+  if (chars.length >= minLengthForTypos) {
+    const part = (from, to) => escapeRegex(chars.slice(from, to).join(''));
+    for (let i = 0; i < chars.length; i += 1) {
+      variants.add(`${part(0, i)}${WORD_CHAR}${part(i + 1)}`); // Substitution
+      variants.add(`${part(0, i)}${WORD_CHAR}${part(i)}`); // Missing character
+      if (i > 0) {
+        variants.add(`${part(0, i)}${part(i + 1)}`); // Extra character
+      }
+      if (i + 1 < chars.length) {
+        variants.add(`${part(0, i)}${part(i + 1, i + 2)}${part(i, i + 1)}${part(i + 2)}`); // Swapped
+      }
+    }
+  }
+
+  return `(?<!${WORD_CHAR})(?:${[...variants].join('|')})`;
+};
+
+/**
+ * Edit distance with adjacent transpositions (optimal string alignment)
+ */
+export const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j += 1) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+/**
+ * How far `term` is from being a prefix of some word in `text`
+ * 0 means a word starts with the term.
+ */
+export const prefixDistance = (term, text) => {
+  const needle = String(term).toLowerCase();
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  let best = Infinity;
+  for (const word of words) {
+    for (const length of [needle.length - 1, needle.length, needle.length + 1]) {
+      if (length > 0 && length <= word.length) {
+        best = Math.min(best, editDistance(needle, word.slice(0, length)));
+      }
+    }
+  }
+  return best;
+};
@@ -0,0 +1,38 @@
+import crypto from 'crypto';
+
+/**
+ * Opaque Token Helpers
+ *
+ * Best Practices:
+ * 1. Cryptographically secure randomness - crypto.randomBytes
+ * 2. Hash before storing - A database leak must not leak usable tokens
+ * 3. Constant-time comparison - Avoid timing side channels
+ */
+
+/**
+ * Generate a random URL-safe token
+ * @param {number} bytes - Entropy in bytes
+ */
+export const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * SHA-256 hash of a token, used as the lookup key in the database
+ * @param {string} token
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Compare two strings in constant time
+ */
+export const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(bufA, bufB);
+};
@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+
+/**
+ * Time-based One-Time Passwords (RFC 6238)
+ *
+ * Best Practices:
+ * 1. Standard parameters - SHA-1, 6 digits, 30 second steps (what authenticator apps expect)
+ * 2. Clock drift tolerance - Accept codes from adjacent time steps
+ * 3. Replay protection - Callers receive the matched step so it can be stored
+ * 4. Constant-time comparison - Avoid leaking digits through timing
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULTS = {
+  step: 30,
+  digits: 6,
+  algorithm: 'sha1',
+  window: 1,
+};
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (padding and spaces ignored)
+ */
+export const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret
+ * @param {number} bytes - 20 bytes matches the SHA-1 block recommendation
+ */
+export const generateSecret = (bytes = 20) => {
+  return base32Encode(crypto.randomBytes(bytes));
+};
+
+/**
+ * HOTP value for a counter (RFC 4226)
+ */
+const hotp = (key, counter, { digits, algorithm }) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, key).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Generate the TOTP code for a given time
+ * @param {string} secret - Base32 secret
+ * @param {object} [options] - { time (ms), step, digits, algorithm }
+ */
+export const generateTotp = (secret, options = {}) => {
+  const opts = { ...DEFAULTS, ...options };
+  const time = options.time ?? Date.now();
+  const counter = Math.floor(time / 1000 / opts.step);
+  return hotp(base32Decode(secret), counter, opts);
+};
+
+/**
+ * Verify a TOTP code
+ * @returns {number|null} The matched time step, or null if the code is invalid
+ */
+export const verifyTotp = (secret, code, options = {}) => {
+  const opts = { ...DEFAULTS, ...options };
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!/^\d+$/.test(normalized) || normalized.length !== opts.digits) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const time = options.time ?? Date.now();
+  const currentStep = Math.floor(time / 1000 / opts.step);
+
+  for (let drift = -opts.window; drift <= opts.window; drift += 1) {
+    if (currentStep + drift < 0) {
+      continue;
+    }
+    const candidate = hotp(key, currentStep + drift, opts);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return currentStep + drift;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI for QR codes in authenticator apps
+ * @see https://github.com/google/google-authenticator/wiki/Key-Uri-Format
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: DEFAULTS.algorithm.toUpperCase(),
+    digits: String(DEFAULTS.digits),
+    period: String(DEFAULTS.step),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
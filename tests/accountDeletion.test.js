@@ -0,0 +1,123 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import AuditLog from '../src/models/AuditLog.js';
+import Membership from '../src/models/Membership.js';
+import Session from '../src/models/Session.js';
+import RefreshToken from '../src/models/RefreshToken.js';
+import ApiKey from '../src/models/ApiKey.js';
+import { protect } from '../src/middleware/auth.js';
+import { requestAccountDeletion } from '../src/controllers/accountController.js';
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const socialUser = () =>
+    User.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        name: 'Social',
+        email: 'social@example.com',
+        role: 'user',
+        identities: [{ provider: 'google', subject: 'provider-user-1' }],
+        tokenVersion: 0,
+    });
+
+const response = () => {
+    const res = { cookie: jest.fn(), clearCookie: jest.fn() };
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+};
+
+// Run the handler and resolve with the error it passed on, or undefined
+const run = (req, res) =>
+    new Promise((resolve) => {
+        res.json.mockImplementation(() => resolve(undefined));
+        requestAccountDeletion(req, res, resolve);
+    });
+
+describe('Account deletion', () => {
+    let user;
+
+    beforeEach(() => {
+        user = socialUser();
+        jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+        jest.spyOn(User.collection, 'updateOne').mockResolvedValue({ acknowledged: true });
+        jest.spyOn(user, 'revokeAllTokens').mockResolvedValue();
+        jest.spyOn(AuditLog, 'record').mockResolvedValue();
+        jest.spyOn(Membership, 'findSoleAdminOrganizations').mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('does not accept the email as confirmation for social accounts', async () => {
+        const req = { user, body: { email: user.email }, auth: { auth_time: now() - 3600 } };
+
+        const error = await run(req, response());
+
+        expect(error.statusCode).toEqual(403);
+        expect(error.details.code).toEqual('REAUTH_REQUIRED');
+        expect(user.deletionScheduledFor).toBeFalsy();
+    });
+
+    it('schedules deletion for social accounts after a fresh login', async () => {
+        const req = { user, body: {}, auth: { auth_time: now() - 30 } };
+        const res = response();
+
+        const error = await run(req, res);
+
+        expect(error).toBeUndefined();
+        expect(res.status).toHaveBeenCalledWith(202);
+        expect(user.deletionScheduledFor).toBeInstanceOf(Date);
+    });
+
+    it('keeps the only admin of an organization from deleting their account', async () => {
+        const organization = new mongoose.Types.ObjectId();
+        Membership.findSoleAdminOrganizations.mockResolvedValue([organization]);
+        const req = { user, body: {}, auth: { auth_time: now() - 30 } };
+
+        const error = await run(req, response());
+
+        expect(error.statusCode).toEqual(400);
+        expect(error.details.organizations).toEqual([organization]);
+        expect(user.deletionScheduledFor).toBeFalsy();
+    });
+
+    it('suspends API keys while deletion is pending', async () => {
+        const apiKey = { user: user._id, touch: jest.fn() };
+        jest.spyOn(ApiKey, 'findActiveByKey').mockResolvedValue(apiKey);
+        user.deletionScheduledFor = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+        const error = await new Promise((resolve) =>
+            protect({ headers: { 'x-api-key': 'key' }, baseUrl: '/api/products', path: '/' }, {}, resolve)
+        );
+
+        expect(error.statusCode).toEqual(401);
+        expect(apiKey.touch).not.toHaveBeenCalled();
+    });
+
+    it('removes memberships along with sessions and keys on purge', async () => {
+        const removed = [Session, RefreshToken, ApiKey, Membership].map((model) =>
+            jest.spyOn(model, 'deleteMany').mockResolvedValue({ deletedCount: 1 })
+        );
+        jest.spyOn(User, 'updateOne').mockResolvedValue({ acknowledged: true });
+
+        await user.anonymize();
+
+        for (const deleteMany of removed) {
+            expect(deleteMany).toHaveBeenCalledWith({ user: user._id });
+        }
+    });
+
+    it('finds the organizations a user is the only admin of', async () => {
+        const [alone, shared] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+        jest.spyOn(Membership, 'find').mockResolvedValue([{ organization: alone }, { organization: shared }]);
+        jest.spyOn(Membership, 'countWithRole').mockImplementation(async (organization) =>
+            organization === alone ? 1 : 2
+        );
+        Membership.findSoleAdminOrganizations.mockRestore();
+
+        expect(await Membership.findSoleAdminOrganizations(user._id)).toEqual([alone]);
+    });
+});
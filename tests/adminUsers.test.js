@@ -0,0 +1,171 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import Role from '../src/models/Role.js';
+import Session from '../src/models/Session.js';
+import AuditLog from '../src/models/AuditLog.js';
+import {
+    updateUserRole,
+    updateUserStatus,
+    deleteUser,
+    forcePasswordReset,
+    revokeUserSession,
+    unlockUser,
+} from '../src/controllers/adminController.js';
+
+const PERMISSIONS = {
+    admin: ['*'],
+    manager: ['user:read', 'user:manage'],
+    user: [],
+};
+
+// Run a handler and resolve with the error it passed on, or the response body
+const run = (handler, req) =>
+    new Promise((resolve) => {
+        const res = {};
+        res.status = () => res;
+        res.json = resolve;
+        handler(req, res, resolve);
+    });
+
+describe('User administration', () => {
+    let stored;
+
+    const addUser = (role) => {
+        const user = { _id: new mongoose.Types.ObjectId(), name: role, role, isActive: true, deletedAt: null };
+        stored.set(String(user._id), user);
+        return user;
+    };
+    const activeAdmins = () =>
+        [...stored.values()].filter((user) => user.role === 'admin' && user.isActive && !user.deletedAt).length;
+
+    beforeEach(() => {
+        stored = new Map();
+        // A small in-memory users collection behind the queries the controller makes
+        jest.spyOn(User, 'findOne').mockImplementation(async ({ _id }) => {
+            const user = stored.get(String(_id));
+            return user ? User.hydrate({ ...user }) : null;
+        });
+        jest.spyOn(User, 'findById').mockImplementation(async (id) => {
+            const user = stored.get(String(id));
+            return user ? User.hydrate({ ...user }) : null;
+        });
+        jest.spyOn(User, 'updateOne').mockImplementation(async ({ _id }, { $set }) => {
+            Object.assign(stored.get(String(_id)), $set);
+            return { acknowledged: true };
+        });
+        jest.spyOn(User, 'countActiveAdmins').mockImplementation(async () => activeAdmins());
+        jest.spyOn(User.prototype, 'revokeAllTokens').mockResolvedValue();
+        jest.spyOn(Role, 'exists').mockResolvedValue({ _id: 'role' });
+        jest.spyOn(Role, 'getPermissions').mockImplementation(async (name) => PERMISSIONS[name] || []);
+        jest.spyOn(AuditLog, 'record').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('does not demote the last active admin', async () => {
+        const admin = addUser('admin');
+
+        const error = await run(updateUserRole, {
+            user: admin,
+            params: { id: String(admin._id) },
+            body: { role: 'user' },
+        });
+
+        expect(error.statusCode).toEqual(400);
+        expect(stored.get(String(admin._id)).role).toEqual('admin');
+    });
+
+    it('keeps an admin when two admins are demoted at the same time', async () => {
+        const first = addUser('admin');
+        const second = addUser('admin');
+
+        const results = await Promise.all(
+            [first, second].map((target) =>
+                run(updateUserRole, {
+                    user: target,
+                    params: { id: String(target._id) },
+                    body: { role: 'user' },
+                })
+            )
+        );
+
+        expect(results.some((result) => result.statusCode === 400)).toBe(true);
+        expect(activeAdmins()).toBeGreaterThanOrEqual(1);
+    });
+
+    it('demotes an admin while another one remains', async () => {
+        const admin = addUser('admin');
+        const other = addUser('admin');
+
+        const body = await run(updateUserRole, {
+            user: admin,
+            params: { id: String(other._id) },
+            body: { role: 'user' },
+        });
+
+        expect(body.status).toEqual('success');
+        expect(stored.get(String(other._id)).role).toEqual('user');
+    });
+
+    describe('a user manager acting on an admin', () => {
+        let manager;
+        let admin;
+
+        beforeEach(() => {
+            manager = addUser('manager');
+            admin = addUser('admin');
+            addUser('admin');
+        });
+
+        it.each([
+            ['change the role of', updateUserRole, { role: 'user' }],
+            ['deactivate', updateUserStatus, { isActive: false }],
+            ['delete', deleteUser, {}],
+            ['force a password reset on', forcePasswordReset, {}],
+        ])('cannot %s them', async (action, handler, body) => {
+            const error = await run(handler, { user: manager, params: { id: String(admin._id) }, body });
+
+            expect(error.statusCode).toEqual(403);
+            expect(stored.get(String(admin._id))).toMatchObject({ role: 'admin', isActive: true, deletedAt: null });
+        });
+
+        it('cannot sign them out', async () => {
+            jest.spyOn(Session, 'findActive').mockResolvedValue({ id: 'session-1', user: admin._id });
+            const revoke = jest.spyOn(Session, 'revoke').mockResolvedValue();
+
+            const error = await run(revokeUserSession, {
+                user: manager,
+                params: { id: String(admin._id), sessionId: 'session-1' },
+            });
+
+            expect(error.statusCode).toEqual(403);
+            expect(revoke).not.toHaveBeenCalled();
+        });
+
+        it('cannot unlock them', async () => {
+            Object.assign(stored.get(String(admin._id)), { lockUntil: new Date(Date.now() + 60 * 1000) });
+            const unlock = jest.spyOn(User.prototype, 'unlock').mockResolvedValue();
+
+            const error = await run(unlockUser, { user: manager, params: { id: String(admin._id) } });
+
+            expect(error.statusCode).toEqual(403);
+            expect(unlock).not.toHaveBeenCalled();
+        });
+
+        it('can still deactivate a plain user', async () => {
+            const user = addUser('user');
+
+            const body = await run(updateUserStatus, {
+                user: manager,
+                params: { id: String(user._id) },
+                body: { isActive: false },
+            });
+
+            expect(body.status).toEqual('success');
+            expect(stored.get(String(user._id)).isActive).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,148 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import adminRoutes from '../src/routes/adminRoutes.js';
+import { requestId } from '../src/middleware/requestId.js';
+import { errorHandler } from '../src/middleware/errorHandler.js';
+import User from '../src/models/User.js';
+import Role from '../src/models/Role.js';
+import Session from '../src/models/Session.js';
+import RevokedToken from '../src/models/RevokedToken.js';
+import AuditLog from '../src/models/AuditLog.js';
+
+const app = express();
+app.use(requestId);
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+app.use(errorHandler);
+
+const PERMISSIONS = {
+    auditor: ['audit:read'],
+    user: [],
+};
+
+describe('Audit log', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('recording', () => {
+        it('stores who did what, from where, and only the fields that changed', async () => {
+            const create = jest.spyOn(AuditLog, 'create').mockResolvedValue();
+            const actor = new mongoose.Types.ObjectId();
+            const req = { user: { _id: actor }, ip: '192.0.2.9', id: 'req-1', get: () => 'curl/8.0' };
+
+            await AuditLog.record(req, {
+                action: 'user.role.update',
+                targetType: 'User',
+                targetId: actor,
+                before: { role: 'user', name: 'Same', updatedAt: 1 },
+                after: { role: 'manager', name: 'Same', updatedAt: 2 },
+            });
+
+            expect(create.mock.calls[0][0]).toMatchObject({
+                actor,
+                action: 'user.role.update',
+                targetId: String(actor),
+                ip: '192.0.2.9',
+                userAgent: 'curl/8.0',
+                requestId: 'req-1',
+                changes: { before: { role: 'user' }, after: { role: 'manager' } },
+            });
+        });
+
+        it('never fails the action it records', async () => {
+            jest.spyOn(AuditLog, 'create').mockRejectedValue(new Error('write concern'));
+
+            await expect(AuditLog.record(null, { action: 'auth.logout' })).resolves.toBeUndefined();
+        });
+    });
+
+    describe('GET /api/admin/audit-logs', () => {
+        let user;
+        let token;
+
+        beforeEach(() => {
+            user = User.hydrate({
+                _id: new mongoose.Types.ObjectId(),
+                name: 'Auditor',
+                email: 'auditor@example.com',
+                role: 'auditor',
+                isActive: true,
+                emailVerified: true,
+                tokenVersion: 0,
+            });
+            const sessionId = new mongoose.Types.ObjectId().toString();
+            token = user.generateToken({ sessionId });
+
+            jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+            jest.spyOn(Session, 'findActive').mockResolvedValue({ touch: async () => {}, id: sessionId });
+            jest.spyOn(RevokedToken, 'isRevoked').mockResolvedValue(false);
+            jest.spyOn(Role, 'getPermissions').mockImplementation(async (name) => PERMISSIONS[name] || []);
+            jest.spyOn(AuditLog, 'countDocuments').mockResolvedValue(1);
+            jest.spyOn(AuditLog, 'find').mockImplementation(() => {
+                const query = {};
+                for (const method of ['sort', 'skip', 'limit', 'populate']) {
+                    query[method] = () => query;
+                }
+                query.lean = async () => [{ action: 'auth.login.success' }];
+                return query;
+            });
+        });
+
+        const get = (path) => request(app).get(path).set('Authorization', `Bearer ${token}`);
+
+        it('filters by action prefix and time range', async () => {
+            const res = await get('/api/admin/audit-logs?action=auth.login.*&from=2026-01-01&targetType=User');
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.pagination).toEqual({ page: 1, limit: 50, total: 1, pages: 1 });
+            const [filter] = AuditLog.find.mock.calls[0];
+            expect(filter.action).toEqual(/^auth\.login\./);
+            expect(filter.action.test('auth.loginx')).toBe(false);
+            expect(filter.createdAt.$gte).toEqual(new Date('2026-01-01'));
+            expect(filter.targetType).toEqual('User');
+        });
+
+        it('matches other actions exactly', async () => {
+            await get('/api/admin/audit-logs?action=auth.logout');
+
+            expect(AuditLog.find.mock.calls[0][0].action).toEqual('auth.logout');
+        });
+
+        it('rejects repeated filter parameters', async () => {
+            const res = await get('/api/admin/audit-logs?action=auth.logout&action=auth.login.*');
+
+            expect(res.statusCode).toEqual(400);
+            expect(AuditLog.find).not.toHaveBeenCalled();
+        });
+
+        it('rejects an invalid actor', async () => {
+            expect((await get('/api/admin/audit-logs?actor=nobody')).statusCode).toEqual(400);
+        });
+
+        it('requires the audit:read permission', async () => {
+            user.role = 'user';
+
+            const res = await get('/api/admin/audit-logs');
+
+            expect(res.statusCode).toEqual(403);
+            expect(AuditLog.find).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('request IDs', () => {
+        it('keeps a well-formed id from the proxy', async () => {
+            const res = await request(app).get('/api/admin/audit-logs').set('X-Request-Id', 'edge-42');
+
+            expect(res.headers['x-request-id']).toEqual('edge-42');
+        });
+
+        it('replaces a malformed id', async () => {
+            const res = await request(app).get('/api/admin/audit-logs').set('X-Request-Id', 'not a valid id; <script>');
+
+            expect(res.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+        });
+    });
+});
@@ -0,0 +1,38 @@
+import { generateCsrfToken, verifyCsrfToken, checkCsrf } from '../src/middleware/csrf.js';
+
+const request = (method, token) => ({
+    method,
+    get: (name) => (name.toLowerCase() === 'x-csrf-token' ? token : undefined),
+});
+
+describe('CSRF tokens', () => {
+    it('verifies a token for the session it was issued to', () => {
+        const token = generateCsrfToken('session-1');
+
+        expect(verifyCsrfToken(token, 'session-1')).toBe(true);
+        expect(verifyCsrfToken(token, 'session-2')).toBe(false);
+    });
+
+    it('issues a different token every time', () => {
+        expect(generateCsrfToken('session-1')).not.toEqual(generateCsrfToken('session-1'));
+    });
+
+    it('rejects tampered and malformed tokens', () => {
+        const [nonce] = generateCsrfToken('session-1').split('.');
+
+        expect(verifyCsrfToken(`${nonce}.${'0'.repeat(64)}`, 'session-1')).toBe(false);
+        expect(verifyCsrfToken('garbage', 'session-1')).toBe(false);
+        expect(verifyCsrfToken(undefined, 'session-1')).toBe(false);
+    });
+
+    it('only checks unsafe methods', () => {
+        expect(checkCsrf(request('GET'), 'session-1')).toBeNull();
+
+        const error = checkCsrf(request('POST'), 'session-1');
+        expect(error.statusCode).toEqual(403);
+        expect(error.details).toEqual({ code: 'CSRF_INVALID' });
+
+        const token = generateCsrfToken('session-1');
+        expect(checkCsrf(request('DELETE', token), 'session-1')).toBeNull();
+    });
+});
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import { encodeCursor, decodeCursor, cursorQuery, buildLinkHeader } from '../src/utils/cursor.js';
+
+const schema = new mongoose.Schema({ name: String, createdAt: Date });
+const Item = mongoose.model('CursorItem', schema);
+
+const encodeRaw = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+describe('Cursor pagination', () => {
+    const item = new Item({ name: 'a', createdAt: new Date('2026-01-01T00:00:00Z') });
+
+    it('round-trips the sort value and id', () => {
+        const cursor = decodeCursor(encodeCursor('-createdAt', item, 'next'), '-createdAt', schema);
+
+        expect(cursor.values).toEqual([item.createdAt]);
+        expect(cursor.id.equals(item._id)).toBe(true);
+        expect(cursor.direction).toEqual('next');
+    });
+
+    it('rejects cursors from another sort or with non-scalar values', () => {
+        const cursor = encodeCursor('-createdAt', item, 'next');
+
+        expect(() => decodeCursor(cursor, 'name', schema)).toThrow('Invalid cursor');
+        expect(() =>
+            decodeCursor(encodeRaw({ s: 'name', v: [{ $gt: '' }], id: String(item._id), d: 'next' }), 'name', schema)
+        ).toThrow('Invalid cursor');
+        expect(() => decodeCursor('not a cursor', 'name', schema)).toThrow('Invalid cursor');
+    });
+
+    it('continues after the cursor, breaking ties by _id', () => {
+        const cursor = { values: ['m'], id: item._id, direction: 'next' };
+
+        expect(cursorQuery('name', cursor)).toEqual({
+            filter: { $or: [{ name: { $gt: 'm' } }, { name: 'm', _id: { $gt: item._id } }] },
+            sort: { name: 1, _id: 1 },
+        });
+    });
+
+    it('pages through multi-field sorts with mixed directions', () => {
+        const cursor = { values: [4.5, 10], id: item._id, direction: 'next' };
+
+        expect(cursorQuery('-rating.average price.amount', cursor)).toEqual({
+            filter: {
+                $or: [
+                    { 'rating.average': { $lt: 4.5 } },
+                    { 'rating.average': 4.5, 'price.amount': { $gt: 10 } },
+                    { 'rating.average': 4.5, 'price.amount': 10, _id: { $gt: item._id } },
+                ],
+            },
+            sort: { 'rating.average': -1, 'price.amount': 1, _id: 1 },
+        });
+    });
+
+    it('reads backwards for prev cursors', () => {
+        const cursor = { values: ['m'], id: item._id, direction: 'prev' };
+
+        expect(cursorQuery('name', cursor).sort).toEqual({ name: -1, _id: -1 });
+        expect(cursorQuery('-name', cursor).filter.$or[0]).toEqual({ name: { $gt: 'm' } });
+    });
+
+    it('builds Link headers that keep the other query parameters', () => {
+        const header = buildLinkHeader('http://api.test/api/products?limit=5&cursor=old', {
+            first: '',
+            prev: null,
+            next: 'abc',
+        });
+
+        expect(header).toEqual(
+            '<http://api.test/api/products?limit=5>; rel="first", ' +
+                '<http://api.test/api/products?limit=5&cursor=abc>; rel="next"'
+        );
+    });
+});
@@ -0,0 +1,115 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import config from '../src/config/config.js';
+import authRoutes from '../src/routes/authRoutes.js';
+import { errorHandler } from '../src/middleware/errorHandler.js';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import RevokedToken from '../src/models/RevokedToken.js';
+import mailer from '../src/utils/mailer.js';
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/auth', authRoutes);
+app.use(errorHandler);
+
+describe('Email verification', () => {
+    let user;
+
+    beforeEach(() => {
+        user = User.hydrate({
+            _id: new mongoose.Types.ObjectId(),
+            name: 'New',
+            email: 'new@example.com',
+            role: 'user',
+            isActive: true,
+            emailVerified: false,
+            tokenVersion: 0,
+        });
+        jest.spyOn(user, 'save').mockResolvedValue(user);
+        jest.spyOn(User, 'findById').mockImplementation(() => {
+            // Awaited directly by the controller, or with .select() by protect
+            const query = Promise.resolve(user);
+            query.select = async () => user;
+            return query;
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('verifies the address the link was sent to', async () => {
+        const token = user.generateEmailVerificationToken();
+
+        const res = await request(app).get(`/api/auth/verify-email/${token}`);
+
+        expect(res.statusCode).toEqual(200);
+        expect(user.emailVerified).toBe(true);
+        expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+        expect(user.save).toHaveBeenCalled();
+    });
+
+    it('rejects a link for an address the account no longer has', async () => {
+        const token = user.generateEmailVerificationToken('old@example.com');
+
+        const res = await request(app).get(`/api/auth/verify-email/${token}`);
+
+        expect(res.statusCode).toEqual(400);
+        expect(user.emailVerified).toBe(false);
+    });
+
+    it('rejects tokens issued for another purpose', async () => {
+        const res = await request(app).get(`/api/auth/verify-email/${user.generateMfaPendingToken()}`);
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.message).toMatch(/invalid or has expired/);
+    });
+
+    it('resends the link to unverified accounts without revealing which emails exist', async () => {
+        const send = jest.spyOn(mailer, 'send').mockResolvedValue();
+        jest.spyOn(User, 'findByEmail').mockImplementation(async (email) => (email === user.email ? user : null));
+
+        const known = await request(app).post('/api/auth/verify-email/resend').send({ email: user.email });
+        const unknown = await request(app).post('/api/auth/verify-email/resend').send({ email: 'nobody@example.com' });
+
+        expect(known.statusCode).toEqual(200);
+        expect(unknown.body).toEqual(known.body);
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(send.mock.calls[0][0].to).toEqual(user.email);
+    });
+
+    describe('restricted unverified accounts', () => {
+        const { requireEmailVerification } = config.auth;
+        let token;
+
+        beforeEach(() => {
+            config.auth.requireEmailVerification = 'restrict';
+            const sessionId = new mongoose.Types.ObjectId().toString();
+            token = user.generateToken({ sessionId });
+            jest.spyOn(Session, 'findActive').mockResolvedValue({ touch: async () => {}, id: sessionId });
+            jest.spyOn(RevokedToken, 'isRevoked').mockResolvedValue(false);
+        });
+
+        afterEach(() => {
+            config.auth.requireEmailVerification = requireEmailVerification;
+        });
+
+        it('may read their own profile', async () => {
+            const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+            expect(res.statusCode).toEqual(200);
+        });
+
+        it('may not use other routes until verified', async () => {
+            const res = await request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${token}`);
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.message).toMatch(/verify your email/);
+        });
+    });
+});
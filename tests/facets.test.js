@@ -0,0 +1,76 @@
+import { buildFacetPipeline, formatFacets } from '../src/controllers/productController.js';
+
+const filter = {
+    isActive: true,
+    category: 'books',
+    tags: { $in: ['sale'] },
+    'price.amount': { $gte: 10 },
+    stock: { $gt: 0 },
+};
+
+const facetMatch = (facets, name) => facets[name][0].$match;
+
+describe('Product facets', () => {
+    const [shared, { $facet: facets }] = buildFacetPipeline(filter);
+
+    it('matches filters on other paths once up front', () => {
+        expect(shared).toEqual({ $match: { isActive: true } });
+        expect(facetMatch(facets, 'total')).toEqual({
+            category: 'books',
+            tags: { $in: ['sale'] },
+            'price.amount': { $gte: 10 },
+            stock: { $gt: 0 },
+        });
+    });
+
+    it('drops only its own condition in each facet', () => {
+        expect(facetMatch(facets, 'category')).toEqual({
+            tags: { $in: ['sale'] },
+            'price.amount': { $gte: 10 },
+            stock: { $gt: 0 },
+        });
+        expect(facetMatch(facets, 'tags')).toEqual({
+            category: 'books',
+            'price.amount': { $gte: 10 },
+            stock: { $gt: 0 },
+        });
+        for (const name of ['priceBuckets', 'priceRange']) {
+            expect(facetMatch(facets, name)).toEqual({
+                category: 'books',
+                tags: { $in: ['sale'] },
+                stock: { $gt: 0 },
+            });
+        }
+        expect(facetMatch(facets, 'availability')).toEqual({
+            category: 'books',
+            tags: { $in: ['sale'] },
+            'price.amount': { $gte: 10 },
+        });
+    });
+
+    it('collects prices outside the buckets instead of failing', () => {
+        expect(facets.priceBuckets[1].$bucket.default).toEqual('other');
+    });
+
+    it('formats the raw facet output', () => {
+        const formatted = formatFacets({
+            total: [{ count: 7 }],
+            category: [{ _id: 'books', count: 5 }],
+            tags: [{ _id: 'sale', count: 2 }],
+            priceBuckets: [
+                { _id: 0, count: 3 },
+                { _id: 1000, count: 1 },
+                { _id: 'other', count: 2 },
+            ],
+            priceRange: [{ _id: null, min: 4.99, max: 1200 }],
+            availability: [{ _id: true, count: 6 }],
+        });
+
+        expect(formatted.total).toEqual(7);
+        expect(formatted.category).toEqual([{ value: 'books', count: 5 }]);
+        expect(formatted.price.buckets[0]).toEqual({ from: 0, to: 25, count: 3 });
+        expect(formatted.price.buckets[6]).toEqual({ from: 1000, to: null, count: 1 });
+        expect(formatted.price.other).toEqual(2);
+        expect(formatted.availability).toEqual({ inStock: 6, outOfStock: 0 });
+    });
+});
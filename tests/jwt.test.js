@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import {
+    KeyRing,
+    setKeyRing,
+    signToken,
+    verifyToken,
+    getJwks,
+    signPurposeToken,
+    verifyPurposeToken,
+} from '../src/utils/jwt.js';
+
+const rsaPem = () =>
+    crypto
+        .generateKeyPairSync('rsa', { modulusLength: 2048 })
+        .privateKey.export({ format: 'pem', type: 'pkcs8' });
+
+const ecPem = () =>
+    crypto
+        .generateKeyPairSync('ec', { namedCurve: 'prime256v1' })
+        .privateKey.export({ format: 'pem', type: 'pkcs8' });
+
+describe('JWT keyring', () => {
+    const oldPem = rsaPem();
+    const newPem = ecPem();
+
+    it('signs with the signing key and names it in the header', () => {
+        setKeyRing(new KeyRing().addKey('k1', oldPem).setSigningKey('k1'));
+
+        const token = signToken({ id: 'u1' }, { expiresIn: '5m' });
+        const { header } = jwt.decode(token, { complete: true });
+
+        expect(header).toMatchObject({ alg: 'RS256', kid: 'k1' });
+        expect(verifyToken(token).id).toEqual('u1');
+    });
+
+    it('keeps verifying tokens from a rotated-out key', () => {
+        setKeyRing(new KeyRing().addKey('k1', oldPem).setSigningKey('k1'));
+        const oldToken = signToken({ id: 'u1' });
+
+        // Rotation: the old key stays as a verify-only public key
+        const oldPublicPem = crypto.createPublicKey(oldPem).export({ format: 'pem', type: 'spki' });
+        setKeyRing(new KeyRing().addKey('k1', oldPublicPem).addKey('k2', newPem).setSigningKey('k2'));
+
+        const newToken = signToken({ id: 'u2' });
+        expect(jwt.decode(newToken, { complete: true }).header).toMatchObject({ alg: 'ES256', kid: 'k2' });
+        expect(verifyToken(oldToken).id).toEqual('u1');
+        expect(verifyToken(newToken).id).toEqual('u2');
+
+        // Retired: the old key is removed from the ring
+        setKeyRing(new KeyRing().addKey('k2', newPem).setSigningKey('k2'));
+        expect(() => verifyToken(oldToken)).toThrow(jwt.JsonWebTokenError);
+    });
+
+    it('refuses a public-only key as the signing key', () => {
+        const publicPem = crypto.createPublicKey(oldPem).export({ format: 'pem', type: 'spki' });
+        expect(() => new KeyRing().addKey('k1', publicPem).setSigningKey('k1')).toThrow('no private key');
+    });
+
+    it('rejects tokens with the wrong issuer or audience', () => {
+        setKeyRing(new KeyRing().addKey('k1', newPem).setSigningKey('k1'));
+
+        expect(() => verifyToken(signToken({ id: 'u1' }, { issuer: 'https://evil.example' }))).toThrow(
+            'jwt issuer invalid'
+        );
+        expect(() => verifyToken(signToken({ id: 'u1' }, { audience: 'other-api' }))).toThrow(
+            'jwt audience invalid'
+        );
+    });
+
+    it('rejects HS256 tokens signed with the public key', () => {
+        setKeyRing(new KeyRing().addKey('k1', oldPem).setSigningKey('k1'));
+        const publicPem = crypto.createPublicKey(oldPem).export({ format: 'pem', type: 'spki' });
+        const forged = jwt.sign({ id: 'admin' }, crypto.createHash('sha256').update(publicPem).digest(), {
+            algorithm: 'HS256',
+            keyid: 'k1',
+        });
+
+        expect(() => verifyToken(forged)).toThrow(jwt.JsonWebTokenError);
+    });
+
+    it('publishes only public key material in the JWKS', () => {
+        setKeyRing(new KeyRing().addKey('k1', oldPem).addKey('k2', newPem).setSigningKey('k2'));
+
+        const { keys } = getJwks();
+
+        expect(keys.map((key) => key.kid)).toEqual(['k1', 'k2']);
+        expect(keys[0]).toMatchObject({ kty: 'RSA', alg: 'RS256', use: 'sig' });
+        expect(keys[1]).toMatchObject({ kty: 'EC', crv: 'P-256', alg: 'ES256', use: 'sig' });
+        keys.forEach((key) => expect(key.d).toBeUndefined());
+    });
+
+    it('keeps purpose tokens out of access token verification', () => {
+        setKeyRing(new KeyRing().addKey('k1', newPem).setSigningKey('k1'));
+        const mfaToken = signPurposeToken('mfa', { id: 'u1' }, { expiresIn: '5m' });
+
+        expect(verifyPurposeToken(mfaToken, 'mfa')).toMatchObject({ id: 'u1', purpose: 'mfa' });
+        expect(() => verifyToken(mfaToken)).toThrow(jwt.JsonWebTokenError);
+
+        // A service verifying access tokens with the published keys rejects it too
+        const [jwk] = getJwks().keys;
+        const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        expect(() => jwt.verify(mfaToken, publicKey, { algorithms: ['ES256'] })).toThrow();
+    });
+
+    it('binds purpose tokens to their purpose', () => {
+        const magicLink = signPurposeToken('magic-link', { id: 'u1' });
+
+        expect(() => verifyPurposeToken(magicLink, 'verify-email')).toThrow('jwt audience invalid');
+        expect(() => verifyPurposeToken(signToken({ id: 'u1' }), 'magic-link')).toThrow(
+            jwt.JsonWebTokenError
+        );
+    });
+});
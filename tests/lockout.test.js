@@ -0,0 +1,143 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import config from '../src/config/config.js';
+import User from '../src/models/User.js';
+import AuditLog from '../src/models/AuditLog.js';
+import { login } from '../src/controllers/authController.js';
+
+const { lockout } = config.auth;
+const MINUTE = 60 * 1000;
+
+const hydrateUser = (fields) =>
+    User.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        name: 'Locked',
+        email: 'locked@example.com',
+        password: '$2a$12$abcdefghijklmnopqrstuuJQxMZ1cR0U6lHqB3R3oV6B1b6p8F7y',
+        isActive: true,
+        emailVerified: true,
+        failedLoginAttempts: 0,
+        lockoutHistory: [],
+        ...fields,
+    });
+
+// Log in and resolve with the error passed on
+const attemptLogin = (body) =>
+    new Promise((resolve) => {
+        login({ body, ip: '192.0.2.7', headers: {} }, {}, resolve);
+    });
+
+describe('Account lockout', () => {
+    const { delayBaseMs, maxDelayMs } = lockout;
+
+    beforeEach(() => {
+        // Keep the failed login delay short; the tests look at its length, not its effect
+        lockout.delayBaseMs = 1;
+        lockout.maxDelayMs = 16;
+        jest.spyOn(AuditLog, 'record').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        lockout.delayBaseMs = delayBaseMs;
+        lockout.maxDelayMs = maxDelayMs;
+        jest.restoreAllMocks();
+    });
+
+    describe('counting failed logins', () => {
+        let stored;
+
+        beforeEach(() => {
+            stored = { failedLoginAttempts: 0, lockoutHistory: [] };
+            jest.spyOn(User, 'findByIdAndUpdate').mockImplementation(async (id, { $inc }) => {
+                stored.failedLoginAttempts += $inc.failedLoginAttempts;
+                return { failedLoginAttempts: stored.failedLoginAttempts };
+            });
+            jest.spyOn(User, 'updateOne').mockImplementation(async (filter, { $set, $push }) => {
+                Object.assign(stored, $set);
+                stored.lockoutHistory.push(...$push.lockoutHistory.$each);
+            });
+        });
+
+        it('locks the account when the threshold is reached', async () => {
+            const user = hydrateUser();
+
+            for (let i = 1; i < lockout.maxAttempts; i++) {
+                expect(await user.registerFailedLogin('192.0.2.7')).toEqual({ attempts: i, locked: false });
+            }
+            const result = await user.registerFailedLogin('192.0.2.7');
+
+            expect(result.locked).toBe(true);
+            expect(result.lockedUntil.getTime() - Date.now()).toBeGreaterThan((lockout.durationMinutes - 1) * MINUTE);
+            expect(user.isLocked).toBe(true);
+            expect(stored.failedLoginAttempts).toEqual(0);
+        });
+
+        it('records each lockout in the history', async () => {
+            const user = hydrateUser();
+
+            for (let i = 0; i < lockout.maxAttempts; i++) {
+                await user.registerFailedLogin('192.0.2.7');
+            }
+
+            expect(stored.lockoutHistory).toHaveLength(1);
+            expect(stored.lockoutHistory[0]).toMatchObject({ ip: '192.0.2.7', lockedUntil: user.lockUntil });
+            expect(User.updateOne.mock.calls[0][1].$push.lockoutHistory.$slice).toEqual(-lockout.historySize);
+        });
+    });
+
+    describe('logging in', () => {
+        it('refuses a locked account without checking the password', async () => {
+            const user = hydrateUser({ lockUntil: new Date(Date.now() + 5 * MINUTE) });
+            jest.spyOn(User, 'findByEmail').mockReturnValue({ select: async () => user });
+            const compare = jest.spyOn(user, 'comparePassword');
+
+            const error = await attemptLogin({ email: user.email, password: 'Correct-passw0rd' });
+
+            expect(error.statusCode).toEqual(423);
+            expect(compare).not.toHaveBeenCalled();
+        });
+
+        it('checks the password again once lockUntil has passed', async () => {
+            const user = hydrateUser({ lockUntil: new Date(Date.now() - MINUTE) });
+            jest.spyOn(User, 'findByEmail').mockReturnValue({ select: async () => user });
+            jest.spyOn(user, 'comparePassword').mockResolvedValue(false);
+            jest.spyOn(user, 'registerFailedLogin').mockResolvedValue({ attempts: 1, locked: false });
+
+            const error = await attemptLogin({ email: user.email, password: 'Wrong-passw0rd' });
+
+            expect(user.isLocked).toBe(false);
+            expect(user.comparePassword).toHaveBeenCalled();
+            expect(error.statusCode).toEqual(401);
+        });
+
+        it('answers unknown emails like a wrong password', async () => {
+            jest.spyOn(User, 'findByEmail').mockReturnValue({ select: async () => null });
+            const simulate = jest.spyOn(User, 'simulatePasswordCheck').mockResolvedValue(false);
+            jest.spyOn(AuditLog, 'countDocuments').mockResolvedValue(3);
+            const timer = jest.spyOn(global, 'setTimeout');
+
+            const error = await attemptLogin({ email: 'Nobody@Example.com', password: 'Guess-passw0rd' });
+
+            expect(error.statusCode).toEqual(401);
+            expect(error.message).toEqual('Invalid credentials');
+            expect(simulate).toHaveBeenCalledWith('Guess-passw0rd');
+            expect(AuditLog.record.mock.calls[0][1]).toMatchObject({
+                action: 'auth.login.failure',
+                metadata: { reason: 'unknown_email', email: 'nobody@example.com' },
+            });
+            // Third recent attempt: the same delay a registered account gets
+            expect(timer).toHaveBeenCalledWith(expect.any(Function), 4);
+        });
+
+        it('starts the unknown email delay over after a lockout period worth of attempts', async () => {
+            jest.spyOn(User, 'findByEmail').mockReturnValue({ select: async () => null });
+            jest.spyOn(User, 'simulatePasswordCheck').mockResolvedValue(false);
+            jest.spyOn(AuditLog, 'countDocuments').mockResolvedValue(lockout.maxAttempts + 1);
+            const timer = jest.spyOn(global, 'setTimeout');
+
+            await attemptLogin({ email: 'nobody@example.com', password: 'Guess-passw0rd' });
+
+            expect(timer).toHaveBeenCalledWith(expect.any(Function), 1);
+        });
+    });
+});
@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import authRoutes from '../src/routes/authRoutes.js';
+import { errorHandler } from '../src/middleware/errorHandler.js';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import RefreshToken from '../src/models/RefreshToken.js';
+import RevokedToken from '../src/models/RevokedToken.js';
+import AuditLog from '../src/models/AuditLog.js';
+import { decodeToken } from '../src/utils/jwt.js';
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/auth', authRoutes);
+app.use(errorHandler);
+
+const sessionId = new mongoose.Types.ObjectId().toString();
+
+describe('Logout', () => {
+    let user;
+    let revoked;
+
+    beforeEach(() => {
+        user = User.hydrate({
+            _id: new mongoose.Types.ObjectId(),
+            name: 'Leaving',
+            email: 'leaving@example.com',
+            role: 'user',
+            isActive: true,
+            emailVerified: true,
+            tokenVersion: 0,
+        });
+        revoked = new Set();
+
+        jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+        jest.spyOn(Session, 'findActive').mockResolvedValue({ touch: async () => {} });
+        jest.spyOn(Session, 'revoke').mockResolvedValue();
+        jest.spyOn(RevokedToken, 'isRevoked').mockImplementation(async (jti) => revoked.has(jti));
+        jest.spyOn(RevokedToken, 'revoke').mockImplementation(async ({ jti }) => revoked.add(jti));
+        jest.spyOn(AuditLog, 'record').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const logout = (path, token) => request(app).post(path).set('Authorization', `Bearer ${token}`);
+
+    it('revokes the access token and ends its session', async () => {
+        const token = user.generateToken({ sessionId });
+
+        const res = await logout('/api/auth/logout', token);
+
+        expect(res.statusCode).toEqual(200);
+        expect(revoked.has(decodeToken(token).jti)).toBe(true);
+        expect(Session.revoke).toHaveBeenCalledWith(sessionId);
+    });
+
+    it('rejects the access token after logout', async () => {
+        const token = user.generateToken({ sessionId });
+        await logout('/api/auth/logout', token);
+
+        const res = await logout('/api/auth/logout', token);
+
+        expect(res.statusCode).toEqual(401);
+        expect(res.body.message).toEqual('Token has been revoked');
+    });
+
+    it('signs out every device with logout-all', async () => {
+        jest.spyOn(user, 'save').mockResolvedValue(user);
+        const refreshTokens = jest.spyOn(RefreshToken, 'revokeAllForUser').mockResolvedValue();
+        const sessions = jest.spyOn(Session, 'revokeAllForUser').mockResolvedValue();
+        const token = user.generateToken({ sessionId });
+        const otherDevice = user.generateToken({ sessionId: new mongoose.Types.ObjectId().toString() });
+
+        expect((await logout('/api/auth/logout-all', token)).statusCode).toEqual(200);
+
+        expect(refreshTokens).toHaveBeenCalledWith(user._id);
+        expect(sessions).toHaveBeenCalledWith(user._id);
+        // Tokens issued before carry the old token version
+        expect((await logout('/api/auth/logout', otherDevice)).statusCode).toEqual(401);
+    });
+
+    it('requires a token', async () => {
+        expect((await request(app).post('/api/auth/logout')).statusCode).toEqual(401);
+    });
+});
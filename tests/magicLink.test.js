@@ -0,0 +1,116 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import authRoutes from '../src/routes/authRoutes.js';
+import { errorHandler } from '../src/middleware/errorHandler.js';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import RefreshToken from '../src/models/RefreshToken.js';
+import AuditLog from '../src/models/AuditLog.js';
+import mailer from '../src/utils/mailer.js';
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/auth', authRoutes);
+app.use(errorHandler);
+
+describe('Magic link login', () => {
+    let user;
+
+    beforeEach(() => {
+        user = User.hydrate({
+            _id: new mongoose.Types.ObjectId(),
+            name: 'Passwordless',
+            email: 'passwordless@example.com',
+            role: 'user',
+            isActive: true,
+            emailVerified: true,
+            tokenVersion: 0,
+        });
+        jest.spyOn(user, 'save').mockResolvedValue(user);
+        // Only the latest link is stored, and consuming it removes it
+        jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async ({ _id, magicLinkToken }) => {
+            if (!user._id.equals(_id) || !user.magicLinkToken || user.magicLinkToken !== magicLinkToken) {
+                return null;
+            }
+            user.magicLinkToken = undefined;
+            return user;
+        });
+        const sessionId = new mongoose.Types.ObjectId().toString();
+        jest.spyOn(Session, 'start').mockResolvedValue({ id: sessionId });
+        jest.spyOn(RefreshToken, 'issue').mockResolvedValue({
+            token: 'refresh-token',
+            family: sessionId,
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        });
+        jest.spyOn(AuditLog, 'record').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('emails a link without revealing which emails exist', async () => {
+        const send = jest.spyOn(mailer, 'send').mockResolvedValue();
+        jest.spyOn(User, 'findByEmail').mockImplementation(async (email) => (email === user.email ? user : null));
+
+        const known = await request(app).post('/api/auth/magic-link').send({ email: user.email });
+        const unknown = await request(app).post('/api/auth/magic-link').send({ email: 'nobody@example.com' });
+
+        expect(known.statusCode).toEqual(200);
+        expect(unknown.body).toEqual(known.body);
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(send.mock.calls[0][0].to).toEqual(user.email);
+        expect(user.magicLinkToken).toBeDefined();
+    });
+
+    it('logs in with a valid link', async () => {
+        const token = user.generateMagicLinkToken();
+
+        const res = await request(app).get(`/api/auth/magic-link/${token}`);
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.token).toBeDefined();
+        expect(AuditLog.record.mock.calls[0][1].action).toEqual('auth.login.success');
+    });
+
+    it('works only once', async () => {
+        const token = user.generateMagicLinkToken();
+        await request(app).get(`/api/auth/magic-link/${token}`);
+
+        const res = await request(app).get(`/api/auth/magic-link/${token}`);
+
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.message).toMatch(/invalid or has expired/);
+    });
+
+    it('rejects a link replaced by a newer one', async () => {
+        const older = user.generateMagicLinkToken();
+        user.generateMagicLinkToken();
+
+        const res = await request(app).get(`/api/auth/magic-link/${older}`);
+
+        expect(res.statusCode).toEqual(400);
+    });
+
+    it('rejects tokens issued for another purpose', async () => {
+        const res = await request(app).get(`/api/auth/magic-link/${user.generateMfaPendingToken()}`);
+
+        expect(res.statusCode).toEqual(400);
+        expect(Session.start).not.toHaveBeenCalled();
+    });
+
+    it('asks for the second factor when 2FA is enabled', async () => {
+        user.mfa = { enabled: true };
+        const token = user.generateMagicLinkToken();
+
+        const res = await request(app).get(`/api/auth/magic-link/${token}`);
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.data.mfaRequired).toBe(true);
+        expect(Session.start).not.toHaveBeenCalled();
+    });
+});
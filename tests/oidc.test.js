@@ -0,0 +1,134 @@
+import http from 'http';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { OidcProvider, createPkcePair } from '../src/utils/oidc.js';
+
+/**
+ * Minimal local identity provider: discovery, JWKS and token endpoints
+ */
+const startMockIdp = async () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' };
+    const idp = { idTokenClaims: {}, lastTokenRequest: null };
+
+    const server = http.createServer((req, res) => {
+        const issuer = `http://127.0.0.1:${server.address().port}`;
+        const send = (body) => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (req.url === '/.well-known/openid-configuration') {
+            return send({
+                issuer,
+                authorization_endpoint: `${issuer}/authorize`,
+                token_endpoint: `${issuer}/token`,
+                jwks_uri: `${issuer}/jwks`,
+            });
+        }
+        if (req.url === '/jwks') {
+            return send({ keys: [jwk] });
+        }
+        if (req.url === '/token' && req.method === 'POST') {
+            let body = '';
+            req.on('data', (chunk) => (body += chunk));
+            req.on('end', () => {
+                idp.lastTokenRequest = new URLSearchParams(body);
+                const idToken = jwt.sign(
+                    { sub: 'user-1', email: 'jane@example.com', email_verified: true, ...idp.idTokenClaims },
+                    privateKey,
+                    { algorithm: 'RS256', keyid: 'test-key', issuer, audience: 'client-1', expiresIn: '5m' }
+                );
+                send({ access_token: 'at', token_type: 'Bearer', id_token: idToken });
+            });
+            return undefined;
+        }
+        res.writeHead(404);
+        return res.end();
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    idp.server = server;
+    idp.discoveryUrl = `http://127.0.0.1:${server.address().port}/.well-known/openid-configuration`;
+    return idp;
+};
+
+describe('OIDC provider', () => {
+    let idp;
+    let provider;
+
+    beforeAll(async () => {
+        idp = await startMockIdp();
+    });
+
+    afterAll(async () => {
+        await new Promise((resolve) => idp.server.close(resolve));
+    });
+
+    beforeEach(() => {
+        idp.idTokenClaims = {};
+        provider = new OidcProvider({
+            name: 'mock',
+            discoveryUrl: idp.discoveryUrl,
+            clientId: 'client-1',
+            clientSecret: 'secret',
+        });
+    });
+
+    it('builds an authorization URL with PKCE, state and nonce', async () => {
+        const { challenge } = createPkcePair();
+        const url = new URL(
+            await provider.getAuthorizationUrl({
+                redirectUri: 'http://localhost/callback',
+                state: 's1',
+                nonce: 'n1',
+                codeChallenge: challenge,
+            })
+        );
+
+        expect(url.pathname).toEqual('/authorize');
+        expect(url.searchParams.get('code_challenge')).toEqual(challenge);
+        expect(url.searchParams.get('code_challenge_method')).toEqual('S256');
+        expect(url.searchParams.get('state')).toEqual('s1');
+        expect(url.searchParams.get('nonce')).toEqual('n1');
+    });
+
+    it('exchanges a code and validates the ID token', async () => {
+        idp.idTokenClaims = { nonce: 'n1' };
+        const { verifier } = createPkcePair();
+
+        const tokens = await provider.exchangeCode({
+            code: 'code-1',
+            codeVerifier: verifier,
+            redirectUri: 'http://localhost/callback',
+        });
+        const claims = await provider.verifyIdToken(tokens.id_token, { nonce: 'n1' });
+
+        expect(idp.lastTokenRequest.get('code_verifier')).toEqual(verifier);
+        expect(claims.sub).toEqual('user-1');
+        expect(claims.email).toEqual('jane@example.com');
+    });
+
+    it('rejects an ID token with the wrong nonce', async () => {
+        idp.idTokenClaims = { nonce: 'other' };
+        const tokens = await provider.exchangeCode({ code: 'c', codeVerifier: 'v', redirectUri: 'r' });
+
+        await expect(provider.verifyIdToken(tokens.id_token, { nonce: 'n1' })).rejects.toThrow(
+            'nonce'
+        );
+    });
+
+    it('rejects an ID token issued to another client', async () => {
+        idp.idTokenClaims = { nonce: 'n1' };
+        const tokens = await provider.exchangeCode({ code: 'c', codeVerifier: 'v', redirectUri: 'r' });
+        const otherClient = new OidcProvider({
+            name: 'mock',
+            discoveryUrl: idp.discoveryUrl,
+            clientId: 'client-2',
+        });
+
+        await expect(otherClient.verifyIdToken(tokens.id_token, { nonce: 'n1' })).rejects.toThrow(
+            'audience'
+        );
+    });
+});
@@ -0,0 +1,67 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import { findOrCreateOidcUser } from '../src/controllers/oidcController.js';
+
+const claims = { sub: 'provider-user-1', email: 'taken@example.com', email_verified: true };
+
+const existingUser = (fields) =>
+    User.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        name: 'Existing',
+        email: claims.email,
+        password: '$2a$12$abcdefghijklmnopqrstuuJQxMZ1cR0U6lHqB3R3oV6B1b6p8F7y',
+        identities: [],
+        tokenVersion: 0,
+        ...fields,
+    });
+
+describe('OIDC account linking', () => {
+    let updates;
+
+    beforeEach(() => {
+        updates = [];
+        // Record writes instead of sending them; the save hooks still run
+        jest.spyOn(User.collection, 'updateOne').mockImplementation(async (filter, update) => {
+            updates.push(update);
+            return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+        });
+        jest.spyOn(User, 'findByIdentity').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('links an unverified account and discards its password', async () => {
+        const user = existingUser({ emailVerified: false });
+        jest.spyOn(User, 'findByEmail').mockReturnValue({ select: async () => user });
+        const revoke = jest.spyOn(user, 'revokeAllTokens').mockResolvedValue();
+
+        const linked = await findOrCreateOidcUser('google', claims);
+
+        expect(linked).toBe(user);
+        expect(linked.password).toBeUndefined();
+        expect(linked.emailVerified).toBe(true);
+        expect(linked.passwordChangedAt).toBeInstanceOf(Date);
+        expect(linked.identities[0].subject).toEqual('provider-user-1');
+        expect(updates[0].$unset).toHaveProperty('password');
+        expect(revoke).toHaveBeenCalled();
+    });
+
+    it('keeps the password of a verified account', async () => {
+        const user = existingUser({ emailVerified: true });
+        jest.spyOn(User, 'findByEmail').mockReturnValue({ select: async () => user });
+
+        const linked = await findOrCreateOidcUser('google', claims);
+
+        expect(linked.password).toMatch(/^\$2a\$12\$/);
+        expect(updates[0].$unset).toBeUndefined();
+    });
+
+    it('refuses to link by an unverified provider email', async () => {
+        await expect(
+            findOrCreateOidcUser('google', { ...claims, email_verified: false })
+        ).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
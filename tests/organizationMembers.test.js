@@ -0,0 +1,106 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Membership from '../src/models/Membership.js';
+import Role from '../src/models/Role.js';
+import AuditLog from '../src/models/AuditLog.js';
+import { updateMemberRole, removeMember } from '../src/controllers/organizationController.js';
+
+const organization = { _id: new mongoose.Types.ObjectId() };
+
+// Run a handler and resolve with the error it passed on, or the response body
+const run = (handler, req) =>
+    new Promise((resolve) => {
+        const res = {};
+        res.status = () => res;
+        res.json = resolve;
+        handler({ organization, ...req }, res, resolve);
+    });
+
+describe('Organization members', () => {
+    let stored;
+
+    const addMember = (role) => {
+        const member = {
+            _id: new mongoose.Types.ObjectId(),
+            user: new mongoose.Types.ObjectId(),
+            organization: organization._id,
+            role,
+        };
+        stored.set(String(member._id), member);
+        return member;
+    };
+    const admins = () => [...stored.values()].filter((member) => member.role === 'admin').length;
+
+    beforeEach(() => {
+        stored = new Map();
+        // A small in-memory memberships collection behind the queries the controller makes
+        jest.spyOn(Membership, 'findMembership').mockImplementation(async (userId) => {
+            const member = [...stored.values()].find(({ user }) => String(user) === String(userId));
+            return member ? Membership.hydrate({ ...member }) : null;
+        });
+        jest.spyOn(Membership, 'updateOne').mockImplementation(async ({ _id }, { $set }) => {
+            Object.assign(stored.get(String(_id)), $set);
+        });
+        jest.spyOn(Membership, 'deleteOne').mockImplementation(async ({ _id }) => {
+            stored.delete(String(_id));
+        });
+        jest.spyOn(Membership, 'create').mockImplementation(async (member) => {
+            stored.set(String(member._id), member);
+        });
+        jest.spyOn(Membership, 'countWithRole').mockImplementation(async (id, role) =>
+            role === 'admin' ? admins() : 0
+        );
+        jest.spyOn(Role, 'exists').mockResolvedValue({ _id: 'role' });
+        jest.spyOn(AuditLog, 'record').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('does not demote the last admin', async () => {
+        const admin = addMember('admin');
+
+        const error = await run(updateMemberRole, {
+            params: { userId: String(admin.user) },
+            body: { role: 'user' },
+        });
+
+        expect(error.statusCode).toEqual(400);
+        expect(admins()).toEqual(1);
+    });
+
+    it('keeps an admin when two admins are demoted at the same time', async () => {
+        const members = [addMember('admin'), addMember('admin')];
+
+        const results = await Promise.all(
+            members.map((member) =>
+                run(updateMemberRole, { params: { userId: String(member.user) }, body: { role: 'user' } })
+            )
+        );
+
+        expect(results.some((result) => result.statusCode === 400)).toBe(true);
+        expect(admins()).toBeGreaterThanOrEqual(1);
+    });
+
+    it('keeps an admin when two admins are removed at the same time', async () => {
+        const members = [addMember('admin'), addMember('admin')];
+
+        const results = await Promise.all(
+            members.map((member) => run(removeMember, { params: { userId: String(member.user) } }))
+        );
+
+        expect(results.some((result) => result.statusCode === 400)).toBe(true);
+        expect(admins()).toBeGreaterThanOrEqual(1);
+    });
+
+    it('removes an admin while another one remains', async () => {
+        addMember('admin');
+        const other = addMember('admin');
+
+        const body = await run(removeMember, { params: { userId: String(other.user) } });
+
+        expect(body.status).toEqual('success');
+        expect(stored.has(String(other._id))).toBe(false);
+    });
+});
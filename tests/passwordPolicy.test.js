@@ -0,0 +1,48 @@
+import { checkPassword, getPasswordRules } from '../src/utils/passwordPolicy.js';
+
+describe('Password policy', () => {
+    const user = { name: 'Jane Doe', email: 'jdoe42@example.com' };
+
+    it('accepts a password that meets every rule', () => {
+        expect(checkPassword('Tundra-Kettle-7', user)).toEqual([]);
+    });
+
+    it('reports every broken rule', () => {
+        expect(checkPassword('short', user)).toEqual([
+            'Password must be at least 10 characters',
+            'Password must contain an uppercase letter',
+            'Password must contain a number',
+        ]);
+    });
+
+    it('rejects passwords bcrypt would truncate', () => {
+        const password = `Aa1${'é'.repeat(35)}`;
+        expect(password.length).toBeLessThan(72);
+        expect(checkPassword(password, user)).toContain('Password must be at most 72 bytes');
+    });
+
+    it('rejects passwords containing the name or email', () => {
+        expect(checkPassword('Janes-Garden-2024', user)).toContain(
+            'Password must not contain your name or email'
+        );
+        expect(checkPassword('Xx-JDOE42-Yy9', user)).toContain(
+            'Password must not contain your name or email'
+        );
+    });
+
+    it('rejects common and breached passwords regardless of case', () => {
+        expect(checkPassword('Password1234', user)).toEqual([
+            'Password is too common or has appeared in a data breach',
+        ]);
+    });
+
+    it('builds rules from a custom policy', () => {
+        const ids = getPasswordRules({
+            minLength: 12,
+            maxBytes: 72,
+            requireSymbol: true,
+        }).map((rule) => rule.id);
+
+        expect(ids).toEqual(['minLength', 'maxBytes', 'symbol']);
+    });
+});
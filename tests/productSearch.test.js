@@ -0,0 +1,73 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Product from '../src/models/Product.js';
+import { runWithTenant } from '../src/utils/tenancy.js';
+
+const organization = new mongoose.Types.ObjectId();
+
+describe('Product name prefixes', () => {
+    it('keeps a lowercased copy of the name', async () => {
+        const product = new Product({ name: 'Apple iPhone 15' });
+        await runWithTenant(organization, () => product.validate().catch(() => null));
+
+        expect(product.searchName).toEqual('apple iphone 15');
+    });
+
+    it('looks up prefixes with an anchored, case-sensitive regex on the lowercased name', () => {
+        const query = Product.findByNamePrefix('C++ Pr');
+
+        expect(query.getFilter()).toEqual({
+            isActive: true,
+            searchName: { $regex: '^c\\+\\+ pr' },
+        });
+        expect(query.getOptions().sort).toEqual({ searchName: 1 });
+    });
+
+    it('has an index for the prefix lookup', () => {
+        const keys = Product.schema.indexes().map(([fields]) => fields);
+        expect(keys).toContainEqual({ organization: 1, searchName: 1 });
+    });
+});
+
+describe('Product index migration', () => {
+    let dropped;
+
+    beforeEach(() => {
+        dropped = [];
+        jest.spyOn(Product.collection, 'dropIndex').mockImplementation(async (name) => {
+            dropped.push(name);
+        });
+        jest.spyOn(Product, 'createIndexes').mockResolvedValue();
+        jest.spyOn(Product, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('drops the global SKU index and earlier text indexes', async () => {
+        jest.spyOn(Product.collection, 'indexes').mockResolvedValue([
+            { name: '_id_', key: { _id: 1 } },
+            { name: 'sku_1', key: { sku: 1 }, unique: true },
+            { name: 'name_text_description_text', key: { _fts: 'text', _ftsx: 1 } },
+        ]);
+
+        await Product.migrateIndexes();
+
+        expect(dropped).toEqual(['sku_1', 'name_text_description_text']);
+        expect(Product.createIndexes).toHaveBeenCalled();
+    });
+
+    it('leaves current indexes alone', async () => {
+        jest.spyOn(Product.collection, 'indexes').mockResolvedValue([
+            { name: '_id_', key: { _id: 1 } },
+            { name: 'organization_1_sku_1', key: { organization: 1, sku: 1 }, unique: true },
+            { name: 'product_text_search', key: { _fts: 'text', _ftsx: 1 } },
+        ]);
+
+        await Product.migrateIndexes();
+
+        expect(dropped).toEqual([]);
+        expect(Product.createIndexes).not.toHaveBeenCalled();
+    });
+});
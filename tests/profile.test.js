@@ -0,0 +1,138 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import authRoutes from '../src/routes/authRoutes.js';
+import { errorHandler } from '../src/middleware/errorHandler.js';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import RefreshToken from '../src/models/RefreshToken.js';
+import RevokedToken from '../src/models/RevokedToken.js';
+import AuditLog from '../src/models/AuditLog.js';
+import mailer from '../src/utils/mailer.js';
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/auth', authRoutes);
+app.use(errorHandler);
+
+const sessionId = new mongoose.Types.ObjectId().toString();
+
+describe('Profile and password', () => {
+    let user;
+    let token;
+
+    beforeEach(() => {
+        user = User.hydrate({
+            _id: new mongoose.Types.ObjectId(),
+            name: 'Member',
+            email: 'member@example.com',
+            password: '$2a$12$abcdefghijklmnopqrstuuJQxMZ1cR0U6lHqB3R3oV6B1b6p8F7y',
+            role: 'user',
+            isActive: true,
+            emailVerified: true,
+            tokenVersion: 0,
+        });
+        token = user.generateToken({ sessionId, authenticatedAt: new Date() });
+
+        jest.spyOn(user, 'save').mockResolvedValue(user);
+        jest.spyOn(User, 'findById').mockImplementation(() => {
+            // Awaited directly by some handlers, with .select() by others
+            const query = Promise.resolve(user);
+            query.select = async () => user;
+            return query;
+        });
+        jest.spyOn(Session, 'findActive').mockResolvedValue({ touch: async () => {}, id: sessionId });
+        jest.spyOn(RevokedToken, 'isRevoked').mockResolvedValue(false);
+        jest.spyOn(AuditLog, 'record').mockResolvedValue();
+        jest.spyOn(mailer, 'send').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const patch = (path, body, accessToken = token) =>
+        request(app).patch(path).set('Authorization', `Bearer ${accessToken}`).send(body);
+
+    describe('PATCH /me', () => {
+        it('updates the name and ignores fields users may not change', async () => {
+            const res = await patch('/api/auth/me', { name: 'Renamed', role: 'admin', isActive: false });
+
+            expect(res.statusCode).toEqual(200);
+            expect(user.name).toEqual('Renamed');
+            expect(user.role).toEqual('user');
+            expect(user.isActive).toBe(true);
+        });
+
+        it('keeps the current email until the new one is verified', async () => {
+            jest.spyOn(User, 'findByEmail').mockResolvedValue(null);
+
+            const res = await patch('/api/auth/me', { email: 'moved@example.com' });
+
+            expect(res.statusCode).toEqual(200);
+            expect(user.email).toEqual('member@example.com');
+            expect(user.pendingEmail).toEqual('moved@example.com');
+            expect(mailer.send.mock.calls[0][0].to).toEqual('moved@example.com');
+        });
+
+        it('rejects an email another account uses', async () => {
+            jest.spyOn(User, 'findByEmail').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+            const res = await patch('/api/auth/me', { email: 'taken@example.com' });
+
+            expect(res.statusCode).toEqual(400);
+            expect(user.pendingEmail).toBeUndefined();
+        });
+
+        it('validates the name', async () => {
+            const res = await patch('/api/auth/me', { name: 'x' });
+
+            expect(res.statusCode).toEqual(400);
+        });
+    });
+
+    describe('PATCH /me/password', () => {
+        const body = { currentPassword: 'Current-passw0rd', newPassword: 'Brand-new-passw0rd!' };
+
+        it('requires the current password', async () => {
+            jest.spyOn(user, 'comparePassword').mockResolvedValue(false);
+
+            const res = await patch('/api/auth/me/password', body);
+
+            expect(res.statusCode).toEqual(401);
+            expect(user.save).not.toHaveBeenCalled();
+        });
+
+        it('requires a recent login', async () => {
+            const stale = user.generateToken({ sessionId, authenticatedAt: new Date(Date.now() - 60 * 60 * 1000) });
+
+            const res = await patch('/api/auth/me/password', body, stale);
+
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.details.code).toEqual('REAUTH_REQUIRED');
+        });
+
+        it('changes the password, signs out other devices and starts a new session', async () => {
+            jest.spyOn(user, 'comparePassword').mockResolvedValue(true);
+            jest.spyOn(user, 'checkNewPassword').mockResolvedValue([]);
+            const revoke = jest.spyOn(user, 'revokeAllTokens').mockResolvedValue();
+            const newSessionId = new mongoose.Types.ObjectId().toString();
+            jest.spyOn(Session, 'start').mockResolvedValue({ id: newSessionId });
+            jest.spyOn(RefreshToken, 'issue').mockResolvedValue({
+                token: 'refresh-token',
+                family: newSessionId,
+                expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+            });
+
+            const res = await patch('/api/auth/me/password', body);
+
+            expect(res.statusCode).toEqual(200);
+            expect(user.password).toEqual(body.newPassword);
+            expect(revoke).toHaveBeenCalled();
+            expect(res.body.data.token).toBeDefined();
+        });
+    });
+});
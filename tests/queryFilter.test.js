@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import { parseFilters, parseSortParam } from '../src/utils/queryFilter.js';
+
+const schema = new mongoose.Schema({
+    price: { amount: Number },
+    category: { type: String, enum: ['books', 'food', 'other'] },
+    tags: [String],
+    createdAt: Date,
+});
+
+const FIELDS = {
+    price: { path: 'price.amount', operators: ['eq', 'gte', 'lt', 'between'] },
+    category: { path: 'category', operators: ['eq', 'in'] },
+    tags: { path: 'tags', operators: ['in', 'all'] },
+    createdAt: { path: 'createdAt', operators: ['between'] },
+};
+
+describe('Query filter grammar', () => {
+    it('casts operator values through the schema', () => {
+        const { filter, errors } = parseFilters(
+            {
+                price: { gte: '10', lt: '20.5' },
+                tags: { in: 'a, b' },
+                createdAt: { between: '2026-01-01,2026-02-01' },
+            },
+            FIELDS,
+            schema
+        );
+
+        expect(errors).toEqual([]);
+        expect(filter).toEqual({
+            'price.amount': { $gte: 10, $lt: 20.5 },
+            tags: { $in: ['a', 'b'] },
+            createdAt: { $gte: new Date('2026-01-01'), $lte: new Date('2026-02-01') },
+        });
+    });
+
+    it('accepts several categories as a list or a repeated parameter', () => {
+        expect(parseFilters({ category: 'books,food' }, FIELDS, schema).filter).toEqual({
+            category: { $in: ['books', 'food'] },
+        });
+        expect(parseFilters({ category: ['books', 'food'] }, FIELDS, schema).filter).toEqual({
+            category: { $in: ['books', 'food'] },
+        });
+    });
+
+    it('reports unknown fields, unsupported operators and bad values', () => {
+        const { errors } = parseFilters(
+            {
+                owner: 'x',
+                price: { regex: '1', gte: 'cheap' },
+                category: 'toys',
+                tags: { in: { $ne: '' } },
+            },
+            FIELDS,
+            schema
+        );
+
+        expect(errors.map((error) => error.field)).toEqual([
+            'owner',
+            'price[regex]',
+            'price[gte]',
+            'category[eq]',
+            'tags[in]',
+        ]);
+    });
+
+    it('parses multi-field sorts and named sorts', () => {
+        const options = {
+            fields: ['price.amount', 'createdAt'],
+            aliases: { newest: '-createdAt' },
+            defaultSort: '-createdAt',
+        };
+
+        expect(parseSortParam('-price.amount,createdAt', options)).toEqual({
+            sortOption: '-price.amount createdAt',
+            errors: [],
+        });
+        expect(parseSortParam('newest', options).sortOption).toEqual('-createdAt');
+        expect(parseSortParam(undefined, options).sortOption).toEqual('-createdAt');
+        expect(parseSortParam('password', options).errors[0].field).toEqual('sort');
+    });
+});
@@ -0,0 +1,55 @@
+import express from 'express';
+import request from 'supertest';
+import { authLimiter, forgotPasswordLimiter, resetPasswordLimiter } from '../src/middleware/security.js';
+
+const app = express();
+app.set('trust proxy', 1); // Tests pick their IP with X-Forwarded-For
+app.use(express.json());
+app.post('/login', authLimiter, (req, res) => res.status(401).json({ status: 'fail' }));
+app.post('/forgot-password', forgotPasswordLimiter, (req, res) => res.json({ status: 'success' }));
+app.post('/reset-password/:token', resetPasswordLimiter, (req, res) => res.json({ status: 'success' }));
+
+const send = (path, body, ip = '203.0.113.1') => request(app).post(path).set('X-Forwarded-For', ip).send(body);
+
+describe('Rate limits', () => {
+    it('limits password reset emails per address', async () => {
+        for (let i = 0; i < 3; i++) {
+            expect((await send('/forgot-password', { email: 'flooded@example.com' })).statusCode).toEqual(200);
+        }
+
+        const limited = await send('/forgot-password', { email: 'Flooded@example.com' });
+        expect(limited.statusCode).toEqual(429);
+        expect(limited.body.message).toMatch(/password reset emails/);
+
+        expect((await send('/forgot-password', { email: 'other@example.com' })).statusCode).toEqual(200);
+    });
+
+    it('limits attempts to set a new password', async () => {
+        for (let i = 0; i < 10; i++) {
+            await send(`/reset-password/token-${i}`, { password: 'N3w-passw0rd!' });
+        }
+
+        expect((await send('/reset-password/token-x', { password: 'N3w-passw0rd!' })).statusCode).toEqual(429);
+    });
+
+    it('limits failed logins per IP and account', async () => {
+        const ip = '198.51.100.1';
+        for (let i = 0; i < 5; i++) {
+            expect((await send('/login', { email: 'target@example.com' }, ip)).statusCode).toEqual(401);
+        }
+
+        expect((await send('/login', { email: 'target@example.com' }, ip)).statusCode).toEqual(429);
+        expect((await send('/login', { email: 'target@example.com' }, '198.51.100.2')).statusCode).toEqual(401);
+    });
+
+    it('limits failed logins per IP when the email changes every time', async () => {
+        const ip = '198.51.100.3';
+        for (let i = 0; i < 20; i++) {
+            expect((await send('/login', { email: `guess-${i}@example.com` }, ip)).statusCode).toEqual(401);
+        }
+
+        const limited = await send('/login', { email: 'guess-new@example.com' }, ip);
+        expect(limited.statusCode).toEqual(429);
+        expect(limited.body.message).toMatch(/from this IP/);
+    });
+});
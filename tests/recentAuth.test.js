@@ -0,0 +1,32 @@
+import { requireRecentAuth } from '../src/middleware/auth.js';
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const run = (middleware, req) => {
+    let result;
+    middleware(req, {}, (error) => {
+        result = error;
+    });
+    return result;
+};
+
+describe('requireRecentAuth', () => {
+    it('passes when the login is recent enough', () => {
+        expect(run(requireRecentAuth(300), { auth: { auth_time: now() - 60 } })).toBeUndefined();
+    });
+
+    it('asks for re-authentication when the login is too old', () => {
+        const error = run(requireRecentAuth(300), { auth: { auth_time: now() - 600 } });
+
+        expect(error.statusCode).toEqual(403);
+        expect(error.details).toMatchObject({ code: 'REAUTH_REQUIRED', maxAge: 300 });
+    });
+
+    it('treats tokens without auth_time as stale', () => {
+        expect(run(requireRecentAuth(300), { auth: {} }).details.code).toEqual('REAUTH_REQUIRED');
+    });
+
+    it('leaves API keys to their scopes', () => {
+        expect(run(requireRecentAuth(300), { apiKey: {} })).toBeUndefined();
+    });
+});
@@ -0,0 +1,58 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import RefreshToken from '../src/models/RefreshToken.js';
+import { refresh } from '../src/controllers/authController.js';
+import { decodeToken } from '../src/utils/jwt.js';
+
+const user = User.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Refresher',
+    email: 'refresher@example.com',
+    role: 'user',
+    isActive: true,
+    tokenVersion: 0,
+});
+
+// Refresh with a body token and resolve with the issued access token
+const refreshWith = (session) => {
+    jest.spyOn(Session, 'findActive').mockResolvedValue({ extend: async () => {}, ...session });
+
+    return new Promise((resolve, reject) => {
+        const res = { cookie: jest.fn() };
+        res.status = () => res;
+        res.json = (body) => resolve(body.data.token);
+        refresh({ cookies: {}, body: { refreshToken: 'refresh-token' }, ip: '127.0.0.1' }, res, reject);
+    });
+};
+
+describe('Token refresh', () => {
+    beforeEach(() => {
+        jest.spyOn(RefreshToken, 'rotate').mockResolvedValue({
+            token: 'next-refresh-token',
+            family: new mongoose.Types.ObjectId().toString(),
+            userId: user._id,
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        });
+        jest.spyOn(User, 'findById').mockResolvedValue(user);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('keeps the auth_time of the original login', async () => {
+        const authenticatedAt = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+        const token = await refreshWith({ authenticatedAt });
+
+        expect(decodeToken(token).auth_time).toEqual(Math.floor(authenticatedAt.getTime() / 1000));
+    });
+
+    it('leaves auth_time out when the session has no login time', async () => {
+        const token = await refreshWith({ authenticatedAt: undefined });
+
+        expect(decodeToken(token).auth_time).toBeUndefined();
+    });
+});
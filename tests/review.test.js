@@ -0,0 +1,116 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Review from '../src/models/Review.js';
+import { createReview } from '../src/controllers/reviewController.js';
+import { runWithTenant } from '../src/utils/tenancy.js';
+
+const organization = new mongoose.Types.ObjectId();
+
+const validate = (fields) =>
+    runWithTenant(organization, () =>
+        new Review({
+            product: new mongoose.Types.ObjectId(),
+            author: new mongoose.Types.ObjectId(),
+            title: 'Great',
+            rating: 5,
+            ...fields,
+        })
+            .validate()
+            .then(() => null, (error) => error)
+    );
+
+describe('Review model', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('accepts whole ratings from 1 to 5', async () => {
+        expect(await validate({ rating: 1 })).toBeNull();
+        expect(await validate({ rating: 5 })).toBeNull();
+    });
+
+    it('rejects ratings out of range or fractional', async () => {
+        for (const rating of [0, 6, 4.5]) {
+            const error = await validate({ rating });
+            expect(error.errors.rating).toBeDefined();
+        }
+    });
+
+    it('requires a title', async () => {
+        const error = await validate({ title: '' });
+        expect(error.errors.title).toBeDefined();
+    });
+
+    it('allows one review per user and product in an organization', () => {
+        const unique = Review.schema
+            .indexes()
+            .find(([, options]) => options.unique);
+        expect(unique[0]).toEqual({ organization: 1, product: 1, author: 1 });
+    });
+
+    describe('product rating', () => {
+        it('computes and writes the rating in one aggregation', () => {
+            const productId = new mongoose.Types.ObjectId();
+            const pipeline = Review.recomputeProductRating(productId).pipeline();
+
+            expect(pipeline[0]).toEqual({ $match: { _id: productId } });
+            expect(pipeline[1].$lookup.pipeline).toEqual([
+                { $match: { $expr: { $eq: ['$product', '$$productId'] }, status: 'published' } },
+                { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+            ]);
+            expect(pipeline[pipeline.length - 1].$merge).toMatchObject({
+                into: 'products',
+                on: '_id',
+                whenMatched: 'merge',
+                whenNotMatched: 'discard',
+            });
+        });
+
+        it('rounds the average and goes back to 0/0 without published reviews', () => {
+            const pipeline = Review.recomputeProductRating(new mongoose.Types.ObjectId()).pipeline();
+            const { rating } = pipeline.find((stage) => stage.$project).$project;
+
+            expect(pipeline.find((stage) => stage.$unwind).$unwind.preserveNullAndEmptyArrays).toBe(true);
+            expect(rating).toEqual({
+                average: { $round: [{ $ifNull: ['$reviews.average', 0] }, 2] },
+                count: { $ifNull: ['$reviews.count', 0] },
+            });
+        });
+
+        it('counts the published reviews per star', async () => {
+            jest.spyOn(Review, 'aggregate').mockResolvedValue([
+                { _id: 5, count: 12 },
+                { _id: 2, count: 1 },
+            ]);
+
+            expect(await Review.ratingDistribution(new mongoose.Types.ObjectId())).toEqual({
+                1: 0,
+                2: 1,
+                3: 0,
+                4: 0,
+                5: 12,
+            });
+        });
+    });
+
+    it('answers a concurrent duplicate review with a conflict', async () => {
+        const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        jest.spyOn(Review, 'exists').mockResolvedValue(null);
+        jest.spyOn(Review, 'create').mockRejectedValue(duplicate);
+
+        const error = await new Promise((resolve) =>
+            createReview(
+                {
+                    product: { _id: new mongoose.Types.ObjectId() },
+                    user: { _id: new mongoose.Types.ObjectId() },
+                    body: { rating: 5, title: 'Great' },
+                },
+                {},
+                resolve
+            )
+        );
+
+        expect(error.statusCode).toEqual(409);
+        expect(error.message).toMatch(/already reviewed/);
+    });
+});
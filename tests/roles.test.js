@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Role from '../src/models/Role.js';
+import User from '../src/models/User.js';
+import Membership from '../src/models/Membership.js';
+import AuditLog from '../src/models/AuditLog.js';
+import { createRole, updateRole, deleteRole } from '../src/controllers/roleController.js';
+
+describe('Role permission coverage', () => {
+    it('lets the wildcard cover everything', () => {
+        expect(Role.covers(['*'], ['*'])).toBe(true);
+        expect(Role.covers(['*'], ['user:manage', 'role:manage'])).toBe(true);
+    });
+
+    it('covers only permissions that are held', () => {
+        const granted = ['user:read', 'user:manage'];
+        expect(Role.covers(granted, [])).toBe(true);
+        expect(Role.covers(granted, ['user:read'])).toBe(true);
+        expect(Role.covers(granted, ['user:read', 'role:manage'])).toBe(false);
+    });
+
+    it('never lets a non-wildcard role hand out the wildcard', () => {
+        expect(Role.covers(['user:manage', 'role:manage', 'audit:read'], ['*'])).toBe(false);
+    });
+});
+
+// Run a handler and resolve with the error it passed on, or the response body
+const run = (handler, req) =>
+    new Promise((resolve) => {
+        const res = {};
+        res.status = () => res;
+        res.json = resolve;
+        handler(req, res, resolve);
+    });
+
+describe('Role management', () => {
+    const manager = { _id: new mongoose.Types.ObjectId(), role: 'manager' };
+
+    beforeEach(() => {
+        jest.spyOn(Role, 'getPermissions').mockImplementation(async (name) =>
+            name === 'manager' ? ['role:manage', 'product:create'] : ['*']
+        );
+        jest.spyOn(AuditLog, 'record').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('does not let a role manager create a role with permissions they lack', async () => {
+        const create = jest.spyOn(Role, 'create');
+
+        const error = await run(createRole, { user: manager, body: { name: 'root', permissions: ['*'] } });
+
+        expect(error.statusCode).toEqual(403);
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    it('creates roles within the caller\'s permissions', async () => {
+        jest.spyOn(Role, 'create').mockImplementation(async (fields) => fields);
+
+        const body = await run(createRole, {
+            user: manager,
+            body: { name: 'writer', permissions: ['product:create'] },
+        });
+
+        expect(body.data.role.name).toEqual('writer');
+    });
+
+    it('does not let a role manager add permissions they lack to a role', async () => {
+        const role = Role.hydrate({ name: 'manager', permissions: ['role:manage', 'product:create'] });
+        jest.spyOn(Role, 'findOne').mockResolvedValue(role);
+        const save = jest.spyOn(role, 'save');
+
+        const error = await run(updateRole, {
+            user: manager,
+            params: { name: 'manager' },
+            body: { permissions: ['role:manage', 'user:manage'] },
+        });
+
+        expect(error.statusCode).toEqual(403);
+        expect(save).not.toHaveBeenCalled();
+    });
+
+    it('does not let a role manager edit a role above their own', async () => {
+        jest.spyOn(Role, 'findOne').mockResolvedValue(Role.hydrate({ name: 'admin', permissions: ['*'] }));
+
+        const error = await run(updateRole, {
+            user: manager,
+            params: { name: 'admin' },
+            body: { description: 'Reduced' },
+        });
+
+        expect(error.statusCode).toEqual(403);
+    });
+
+    it('keeps roles that organization members still hold', async () => {
+        const role = Role.hydrate({ name: 'auditor', permissions: ['audit:read'], isSystem: false });
+        jest.spyOn(Role, 'findOne').mockResolvedValue(role);
+        jest.spyOn(User, 'countDocuments').mockResolvedValue(0);
+        jest.spyOn(Membership, 'countDocuments').mockResolvedValue(2);
+        const remove = jest.spyOn(role, 'deleteOne');
+
+        const error = await run(deleteRole, { user: manager, params: { name: 'auditor' } });
+
+        expect(error.statusCode).toEqual(400);
+        expect(error.message).toMatch(/2 organization member/);
+        expect(remove).not.toHaveBeenCalled();
+    });
+});
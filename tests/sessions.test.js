@@ -0,0 +1,79 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Session from '../src/models/Session.js';
+import RefreshToken from '../src/models/RefreshToken.js';
+import { getMySessions, revokeMySession } from '../src/controllers/sessionController.js';
+
+const user = { _id: new mongoose.Types.ObjectId() };
+user.id = String(user._id);
+
+const session = (owner, fields) =>
+    Session.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        user: owner,
+        userAgent: 'Firefox on Linux',
+        ip: '192.0.2.1',
+        ...fields,
+    });
+
+// Run a handler and resolve with the error it passed on, or the response body
+const run = (handler, req) =>
+    new Promise((resolve) => {
+        const res = {};
+        res.status = () => res;
+        res.json = resolve;
+        handler(req, res, resolve);
+    });
+
+describe('Device sessions', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('lists the active sessions and marks the current one', async () => {
+        const current = session(user._id);
+        const other = session(user._id, { userAgent: 'Safari on iPhone' });
+        jest.spyOn(Session, 'findActiveForUser').mockResolvedValue([current, other]);
+
+        const body = await run(getMySessions, { user, auth: { sid: current.id } });
+
+        expect(Session.findActiveForUser).toHaveBeenCalledWith(user.id);
+        expect(body.results).toEqual(2);
+        expect(body.data.sessions.map(({ id, current: isCurrent }) => [id, isCurrent])).toEqual([
+            [current.id, true],
+            [other.id, false],
+        ]);
+    });
+
+    it('revokes one of the user\'s sessions together with its refresh tokens', async () => {
+        const other = session(user._id);
+        jest.spyOn(Session, 'findActive').mockResolvedValue(other);
+        const update = jest.spyOn(Session, 'updateOne').mockResolvedValue({ acknowledged: true });
+        const family = jest.spyOn(RefreshToken, 'revokeFamily').mockResolvedValue();
+
+        const body = await run(revokeMySession, { user, params: { id: other.id } });
+
+        expect(body.status).toEqual('success');
+        expect(update.mock.calls[0][0]).toEqual({ _id: other.id, revokedAt: null });
+        expect(family).toHaveBeenCalledWith(other.id);
+    });
+
+    it('does not reveal or revoke sessions of other users', async () => {
+        const foreign = session(new mongoose.Types.ObjectId());
+        jest.spyOn(Session, 'findActive').mockResolvedValue(foreign);
+        const revoke = jest.spyOn(Session, 'revoke');
+
+        const error = await run(revokeMySession, { user, params: { id: foreign.id } });
+
+        expect(error.statusCode).toEqual(404);
+        expect(revoke).not.toHaveBeenCalled();
+    });
+
+    it('answers unknown sessions with a 404', async () => {
+        jest.spyOn(Session, 'findActive').mockResolvedValue(null);
+
+        const error = await run(revokeMySession, { user, params: { id: 'unknown' } });
+
+        expect(error.statusCode).toEqual(404);
+    });
+});
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+import { runWithTenant, getTenantId, tenantScopePlugin } from '../src/utils/tenancy.js';
+
+// No connection: queries fail after their middleware ran, which is all we inspect
+const widgetSchema = new mongoose.Schema({ name: String }, { bufferCommands: false });
+widgetSchema.plugin(tenantScopePlugin);
+const Widget = mongoose.model('TenantScopedWidget', widgetSchema);
+
+const orgA = new mongoose.Types.ObjectId();
+const orgB = new mongoose.Types.ObjectId();
+
+const runMiddleware = (thenable) => thenable.exec().catch((error) => error);
+
+describe('Tenant scoping plugin', () => {
+    it('exposes the active organization only inside runWithTenant', async () => {
+        expect(getTenantId()).toBeNull();
+        await runWithTenant(orgA, async () => {
+            expect(getTenantId().equals(orgA)).toBe(true);
+        });
+    });
+
+    it('refuses queries without an organization context', async () => {
+        const error = await runMiddleware(Widget.find());
+        expect(error.name).toEqual('TenantContextError');
+    });
+
+    it('adds the organization to query filters', async () => {
+        await runWithTenant(orgA, async () => {
+            const query = Widget.findOne({ name: 'a' });
+            await runMiddleware(query);
+            expect(query.getFilter()).toEqual({ name: 'a', organization: orgA });
+        });
+    });
+
+    it('does not let updates move documents to another organization', async () => {
+        await runWithTenant(orgA, async () => {
+            const query = Widget.updateOne({}, { $set: { name: 'b', organization: orgB } });
+            await runMiddleware(query);
+            expect(query.getUpdate().$set).toEqual({ name: 'b' });
+        });
+    });
+
+    it('skips scoping when the query opts out', async () => {
+        const query = Widget.find().setOptions({ skipTenant: true });
+        const error = await runMiddleware(query);
+        expect(error.name).not.toEqual('TenantContextError');
+        expect(query.getFilter()).toEqual({});
+    });
+
+    it('matches the organization at the start of aggregation pipelines', async () => {
+        await runWithTenant(orgA, async () => {
+            const aggregate = Widget.aggregate([{ $group: { _id: '$name' } }]);
+            await runMiddleware(aggregate);
+            expect(aggregate.pipeline()[0]).toEqual({ $match: { organization: orgA } });
+        });
+    });
+
+    it('joins a leading $match so $text stays in the first stage', async () => {
+        await runWithTenant(orgA, async () => {
+            const aggregate = Widget.aggregate([{ $match: { $text: { $search: 'a' } } }, { $limit: 1 }]);
+            await runMiddleware(aggregate);
+            expect(aggregate.pipeline()).toEqual([
+                { $match: { $text: { $search: 'a' }, organization: orgA } },
+                { $limit: 1 },
+            ]);
+        });
+    });
+
+    it('creates new documents in the active organization', async () => {
+        await runWithTenant(orgA, async () => {
+            const widget = new Widget({ name: 'a', organization: orgB });
+            await widget.validate();
+            expect(widget.organization.equals(orgA)).toBe(true);
+        });
+    });
+});
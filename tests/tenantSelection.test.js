@@ -0,0 +1,147 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import config from '../src/config/config.js';
+import productRoutes from '../src/routes/productRoutes.js';
+import { errorHandler } from '../src/middleware/errorHandler.js';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import RevokedToken from '../src/models/RevokedToken.js';
+import Organization from '../src/models/Organization.js';
+import Membership from '../src/models/Membership.js';
+import Product from '../src/models/Product.js';
+import ApiKey from '../src/models/ApiKey.js';
+import { getTenantId } from '../src/utils/tenancy.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/products', productRoutes);
+app.use(errorHandler);
+
+const orgA = new Organization({ name: 'Store A', slug: 'store-a' });
+const orgB = new Organization({ name: 'Store B', slug: 'store-b' });
+const user = new User({ name: 'Shopper', email: 'shopper@example.com' });
+const sessionId = new mongoose.Types.ObjectId();
+
+const EMPTY_FACETS = {
+    total: [],
+    category: [],
+    tags: [],
+    priceBuckets: [],
+    priceRange: [],
+    availability: [],
+};
+
+describe('Organization selection on public product reads', () => {
+    const { defaultOrganization } = config.tenancy;
+    let tenants;
+
+    beforeEach(() => {
+        config.tenancy.defaultOrganization = undefined;
+        tenants = [];
+
+        jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+        jest.spyOn(Session, 'findActive').mockResolvedValue({ _id: sessionId });
+        jest.spyOn(RevokedToken, 'isRevoked').mockResolvedValue(false);
+        jest.spyOn(Membership, 'findMembership').mockResolvedValue(null);
+        jest.spyOn(Organization, 'findActive').mockImplementation(async (id) =>
+            [orgA, orgB].find((org) => String(org._id) === String(id)) || null
+        );
+        // Record the tenant the query would run in
+        jest.spyOn(Product, 'aggregate').mockImplementation(async () => {
+            tenants.push(getTenantId());
+            return [EMPTY_FACETS];
+        });
+    });
+
+    afterEach(() => {
+        config.tenancy.defaultOrganization = defaultOrganization;
+        jest.restoreAllMocks();
+    });
+
+    it('asks anonymous callers to select an organization', async () => {
+        const res = await request(app).get('/api/products/facets');
+
+        expect(res.statusCode).toEqual(400);
+        expect(tenants).toEqual([]);
+    });
+
+    it('uses the organization selected in the access token', async () => {
+        const token = user.generateToken({ sessionId, organizationId: orgA._id });
+
+        const res = await request(app).get('/api/products/facets').set('Authorization', `Bearer ${token}`);
+
+        expect(res.statusCode).toEqual(200);
+        expect(tenants).toHaveLength(1);
+        expect(tenants[0].equals(orgA._id)).toBe(true);
+    });
+
+    it('lets the header override the selected organization', async () => {
+        const token = user.generateToken({ sessionId, organizationId: orgA._id });
+
+        const res = await request(app)
+            .get('/api/products/facets')
+            .set('Authorization', `Bearer ${token}`)
+            .set(config.tenancy.header, String(orgB._id));
+
+        expect(res.statusCode).toEqual(200);
+        expect(tenants[0].equals(orgB._id)).toBe(true);
+    });
+
+    it('ignores an invalid token instead of failing the read', async () => {
+        const res = await request(app)
+            .get('/api/products/facets')
+            .set('Authorization', 'Bearer not-a-token')
+            .set(config.tenancy.header, String(orgB._id));
+
+        expect(res.statusCode).toEqual(200);
+        expect(tenants[0].equals(orgB._id)).toBe(true);
+    });
+
+    describe('with an API key', () => {
+        const keyOwner = new User({ name: 'Integration', email: 'integration@example.com', emailVerified: true });
+
+        const useKey = (scopes) => {
+            const apiKey = new ApiKey({ user: keyOwner._id, name: 'Sync', scopes });
+            jest.spyOn(apiKey, 'touch').mockResolvedValue();
+            jest.spyOn(ApiKey, 'findActiveByKey').mockResolvedValue(apiKey);
+            User.findById.mockReturnValue({ select: async () => keyOwner });
+        };
+
+        it('reads with the products:read scope', async () => {
+            useKey(['products:read']);
+
+            const res = await request(app)
+                .get('/api/products/facets')
+                .set('X-API-Key', 'key')
+                .set(config.tenancy.header, String(orgA._id));
+
+            expect(res.statusCode).toEqual(200);
+            expect(tenants[0].equals(orgA._id)).toBe(true);
+        });
+
+        it('rejects keys without the products:read scope', async () => {
+            useKey(['products:write']);
+
+            const res = await request(app)
+                .get('/api/products/facets')
+                .set('X-API-Key', 'key')
+                .set(config.tenancy.header, String(orgA._id));
+
+            expect(res.statusCode).toEqual(403);
+            expect(tenants).toEqual([]);
+        });
+
+        it('rejects unknown keys instead of reading anonymously', async () => {
+            jest.spyOn(ApiKey, 'findActiveByKey').mockResolvedValue(null);
+
+            const res = await request(app)
+                .get('/api/products/facets')
+                .set('X-API-Key', 'revoked')
+                .set(config.tenancy.header, String(orgA._id));
+
+            expect(res.statusCode).toEqual(401);
+        });
+    });
+});
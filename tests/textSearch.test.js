@@ -0,0 +1,57 @@
+import {
+    searchTerms,
+    highlight,
+    fuzzyPrefixPattern,
+    prefixDistance,
+} from '../src/utils/textSearch.js';
+
+const matches = (term, text) => new RegExp(fuzzyPrefixPattern(term), 'iu').test(text);
+
+describe('Text search helpers', () => {
+    it('reads terms like $text, skipping negated words', () => {
+        expect(searchTerms('Wireless "noise cancelling" -wired a')).toEqual([
+            'wireless',
+            'noise cancelling',
+        ]);
+    });
+
+    it('marks words starting with a term and escapes HTML', () => {
+        expect(highlight('Running <b>shoes</b>', ['run', 'shoe'])).toBe(
+            '<mark>Running</mark> &lt;b&gt;<mark>shoes</mark>&lt;/b&gt;'
+        );
+        expect(highlight('Outrun', ['run'])).toBe('Outrun');
+    });
+
+    it('cuts long text to a snippet around the first match', () => {
+        const text = `${'filler '.repeat(40)}with great headphones inside ${'padding '.repeat(40)}`;
+        const snippet = highlight(text, ['headphones'], { maxLength: 60 });
+
+        expect(snippet.startsWith('…')).toBe(true);
+        expect(snippet.endsWith('…')).toBe(true);
+        expect(snippet).toContain('<mark>headphones</mark>');
+    });
+
+    it('matches word prefixes with one typo', () => {
+        expect(matches('iphnoe', 'Apple iPhone 15')).toBe(true);
+        expect(matches('hedphones', 'Wireless Headphones')).toBe(true);
+        expect(matches('keybaord', 'Mechanical Keyboard')).toBe(true);
+        expect(matches('mouse', 'Gaming house')).toBe(true);
+        expect(matches('lamp', 'Garden tent')).toBe(false);
+    });
+
+    it('requires short terms to match exactly', () => {
+        expect(matches('tv', 'OLED TV')).toBe(true);
+        expect(matches('tx', 'OLED TV')).toBe(false);
+    });
+
+    it('does not treat the term as a regex', () => {
+        expect(matches('c++', 'C++ Primer')).toBe(true);
+        expect(matches('a.c', 'abc')).toBe(false);
+    });
+
+    it('ranks exact prefixes closer than typos', () => {
+        expect(prefixDistance('head', 'Wireless Headphones')).toBe(0);
+        expect(prefixDistance('haed', 'Wireless Headphones')).toBe(1);
+        expect(prefixDistance('zzzz', 'Wireless Headphones')).toBeGreaterThan(1);
+    });
+});
@@ -0,0 +1,47 @@
+import {
+    base32Encode,
+    base32Decode,
+    generateTotp,
+    verifyTotp,
+    buildOtpauthUri,
+} from '../src/utils/totp.js';
+
+// RFC 6238 Appendix B test vectors (SHA-1, 8 digits)
+const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+const vectors = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130'],
+];
+
+describe('TOTP', () => {
+    it('round-trips base32', () => {
+        const buffer = Buffer.from('hello world');
+        expect(base32Decode(base32Encode(buffer)).equals(buffer)).toBe(true);
+    });
+
+    it.each(vectors)('matches the RFC 6238 vector at %i', (seconds, expected) => {
+        expect(generateTotp(rfcSecret, { time: seconds * 1000, digits: 8 })).toEqual(expected);
+    });
+
+    it('accepts codes from an adjacent time step', () => {
+        const time = 1111111111 * 1000;
+        const previous = generateTotp(rfcSecret, { time: time - 30 * 1000 });
+        expect(verifyTotp(rfcSecret, previous, { time })).toEqual(Math.floor(time / 1000 / 30) - 1);
+    });
+
+    it('rejects malformed and wrong codes', () => {
+        const time = 1111111111 * 1000;
+        expect(verifyTotp(rfcSecret, 'abcdef', { time })).toBeNull();
+        expect(verifyTotp(rfcSecret, '12345', { time })).toBeNull();
+        expect(verifyTotp(rfcSecret, '000000', { time: 0 })).toBeNull();
+    });
+
+    it('builds an otpauth URI', () => {
+        const uri = buildOtpauthUri({ secret: 'ABC', accountName: 'a@b.com', issuer: 'Shop' });
+        expect(uri).toMatch(/^otpauth:\/\/totp\/Shop%3Aa%40b\.com\?secret=ABC&issuer=Shop/);
+    });
+});